@@ -0,0 +1,227 @@
+// Batch: cursore e lease del coordinatore, checkpoint per round, budget e ripresa
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  batchCoordinatorNamespace,
+  callWorker,
+  jsonResponse,
+  memoryDurableStorage,
+  memoryKV,
+  mockFetch,
+  testCtx,
+  testEnv,
+  worker,
+  BatchCoordinatorDurableObject
+} from "./helpers.mjs";
+
+const MODEL = "llama-3.1-8b-instant";
+
+function cursorOp(object, op) {
+  return object.fetch(new Request("https://batch-coordinator/cursor", { method: "POST", body: JSON.stringify(op) }))
+    .then(response => response.json());
+}
+
+// Upstream Chat che risponde con il testo della richiesta
+function echoUpstream(url, init) {
+  const body = JSON.parse(init.body);
+  return jsonResponse({
+    id: "chatcmpl-test",
+    model: body.model,
+    choices: [{ index: 0, message: { role: "assistant", content: body.messages[0].content }, finish_reason: "stop" }],
+    usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+  });
+}
+
+async function createBatch(env, ctx, count) {
+  const lines = Array.from({ length: count }, (_, i) => JSON.stringify({
+    custom_id: `r${i}`,
+    method: "POST",
+    url: "/v1/chat/completions",
+    body: { model: MODEL, messages: [{ role: "user", content: `line ${i}` }] }
+  }));
+  const form = new FormData();
+  form.append("purpose", "batch");
+  form.append("file", new Blob([lines.join("\n")]), "input.jsonl");
+  const file = await (await callWorker(env, ctx, "/v1/files", { method: "POST", form })).json();
+  const response = await callWorker(env, ctx, "/v1/batches", {
+    method: "POST",
+    body: { input_file_id: file.id, endpoint: "/v1/chat/completions", completion_window: "24h" }
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+async function fileLines(env, ctx, fileId) {
+  const text = await (await callWorker(env, ctx, `/v1/files/${fileId}/content`)).text();
+  return text.trim().split("\n").map(line => JSON.parse(line));
+}
+
+test("il cursore avanza solo per chi detiene il lease e non si riapre dopo finish", async () => {
+  const object = new BatchCoordinatorDurableObject({ storage: memoryDurableStorage() }, {});
+
+  assert.equal((await cursorOp(object, { op: "acquire", owner: "a" })).ok, true);
+  assert.equal((await cursorOp(object, { op: "acquire", owner: "b" })).ok, false);
+  assert.equal((await cursorOp(object, { op: "commit", owner: "b", lines: 4 })).ok, false);
+
+  const committed = await cursorOp(object, { op: "commit", owner: "a", lines: 4, completed: 3, failed: 1 });
+  assert.equal(committed.ok, true);
+  assert.deepEqual(
+    [committed.cursor.next_line, committed.cursor.parts, committed.cursor.completed, committed.cursor.failed],
+    [4, 1, 3, 1]
+  );
+
+  assert.equal((await cursorOp(object, { op: "release", owner: "a" })).ok, true);
+  assert.equal((await cursorOp(object, { op: "finish", owner: "a" })).ok, false);
+  assert.equal((await cursorOp(object, { op: "acquire", owner: "b" })).ok, true);
+  assert.equal((await cursorOp(object, { op: "finish", owner: "b" })).ok, true);
+  assert.equal((await cursorOp(object, { op: "acquire", owner: "c" })).ok, false);
+});
+
+test("un lease scaduto passa a un'altra esecuzione, che riparte dal checkpoint", async () => {
+  const object = new BatchCoordinatorDurableObject({ storage: memoryDurableStorage() }, {});
+  await cursorOp(object, { op: "acquire", owner: "a" });
+  await cursorOp(object, { op: "commit", owner: "a", lines: 2, completed: 2, leaseMs: -1 });
+
+  const taken = await cursorOp(object, { op: "acquire", owner: "b" });
+  assert.equal(taken.ok, true);
+  assert.equal(taken.cursor.next_line, 2);
+  assert.equal((await cursorOp(object, { op: "commit", owner: "a", lines: 2 })).ok, false);
+});
+
+test("schedule arma l'alarm una volta sola e mai per un batch chiuso", async () => {
+  const storage = memoryDurableStorage();
+  const object = new BatchCoordinatorDurableObject({ storage }, {});
+
+  assert.equal((await cursorOp(object, { op: "schedule", batch_id: "batch_1", client: null })).ok, true);
+  const armed = await storage.getAlarm();
+  assert.notEqual(armed, null);
+  await cursorOp(object, { op: "schedule", batch_id: "batch_1", client: null });
+  assert.equal(await storage.getAlarm(), armed);
+
+  storage.takeAlarm();
+  await cursorOp(object, { op: "acquire", owner: "a" });
+  await cursorOp(object, { op: "finish", owner: "a" });
+  assert.equal((await cursorOp(object, { op: "schedule", batch_id: "batch_1", client: null })).ok, false);
+  assert.equal(await storage.getAlarm(), null);
+});
+
+test("il polling non esegue righe: il batch avanza nell'alarm, un checkpoint per round", async (t) => {
+  const realNow = Date.now.bind(Date);
+  let offset = 0;
+  t.mock.method(Date, "now", () => realNow() + offset);
+  const upstream = mockFetch(t, (url, init) => {
+    // Primo round concluso: il budget dell'esecuzione è esaurito prima del successivo
+    if (upstream.length === 2) offset += 60 * 1000;
+    return echoUpstream(url, init);
+  });
+  let env;
+  const namespace = batchCoordinatorNamespace(() => env);
+  env = testEnv({ GROQ_API_KEY: "test", BATCHES: memoryKV(), BATCH_COORDINATOR: namespace, BATCH_CONCURRENCY: "2" });
+  const ctx = testCtx();
+
+  const batch = await createBatch(env, ctx, 5);
+  await callWorker(env, ctx, `/v1/batches/${batch.id}`);
+  await ctx.drain();
+  assert.equal(upstream.length, 0);
+
+  const { object, storage } = namespace.instances.get(batch.id);
+  assert.notEqual(storage.takeAlarm(), null);
+  await object.alarm();
+  assert.equal((await storage.get("cursor")).next_line, 2);
+  const progress = await (await callWorker(env, ctx, `/v1/batches/${batch.id}`)).json();
+  assert.equal(progress.status, "in_progress");
+  assert.equal(progress.request_counts.completed, 2);
+
+  let alarms = 0;
+  while (storage.takeAlarm() !== null && alarms++ < 10) await object.alarm();
+  const done = await (await callWorker(env, ctx, `/v1/batches/${batch.id}`)).json();
+  assert.equal(done.status, "completed");
+  assert.deepEqual(done.request_counts, { total: 5, completed: 5, failed: 0 });
+  assert.equal(upstream.length, 5);
+
+  const output = await fileLines(env, ctx, done.output_file_id);
+  assert.deepEqual(output.map(record => record.custom_id), ["r0", "r1", "r2", "r3", "r4"]);
+  assert.equal(output[3].response.body.choices[0].message.content, "line 3");
+  assert.equal(done.error_file_id, null);
+});
+
+test("senza coordinatore il cron esegue il batch senza rileggere il file di input", async (t) => {
+  mockFetch(t, echoUpstream);
+  const store = memoryKV();
+  const env = testEnv({ GROQ_API_KEY: "test", BATCHES: store, BATCH_CONCURRENCY: "3" });
+  const ctx = testCtx();
+  const batch = await createBatch(env, ctx, 7);
+
+  const reads = [];
+  const get = store.get;
+  store.get = (key, options) => {
+    reads.push(key);
+    return get(key, options);
+  };
+  await worker.scheduled({}, env, ctx);
+  await ctx.drain();
+  assert.ok(!reads.some(key => key.startsWith("file_content:")));
+
+  const done = await (await callWorker(env, ctx, `/v1/batches/${batch.id}`)).json();
+  assert.equal(done.status, "completed");
+  assert.equal((await fileLines(env, ctx, done.output_file_id)).length, 7);
+  // Nessun residuo del lavoro: input validato, checkpoint e indice dei batch aperti
+  assert.deepEqual(
+    [...store.entries.keys()].filter(key => /^batch_(input|part|active|cancel):/.test(key)),
+    []
+  );
+});
+
+test("annullamento: le righe non eseguite finiscono nel file di errori", async (t) => {
+  mockFetch(t, echoUpstream);
+  const env = testEnv({ GROQ_API_KEY: "test", BATCHES: memoryKV() });
+  const ctx = testCtx();
+  const batch = await createBatch(env, ctx, 150);
+
+  const cancelling = await (await callWorker(env, ctx, `/v1/batches/${batch.id}/cancel`, { method: "POST" })).json();
+  assert.equal(cancelling.status, "cancelling");
+  await worker.scheduled({}, env, ctx);
+
+  const done = await (await callWorker(env, ctx, `/v1/batches/${batch.id}`)).json();
+  assert.equal(done.status, "cancelled");
+  assert.deepEqual(done.request_counts, { total: 150, completed: 0, failed: 150 });
+  const errors = await fileLines(env, ctx, done.error_file_id);
+  assert.equal(errors.length, 150);
+  assert.equal(errors[149].custom_id, "r149");
+  assert.equal(errors[0].error.code, "batch_cancelled");
+});
+
+test("file e batch sono visibili solo al client che li ha creati", async (t) => {
+  mockFetch(t, echoUpstream);
+  const keys = JSON.stringify({
+    "token-a": { id: "a" },
+    "token-b": { id: "b" }
+  });
+  const store = memoryKV();
+  const env = { GATEWAY_CLIENT_KEYS: keys, LOG_LEVEL: "off", GROQ_API_KEY: "test", BATCHES: store };
+  const ctx = testCtx();
+  const call = (token, path, init) => worker.fetch(new Request(`https://gateway.test${path}`, {
+    method: init?.method || "GET",
+    headers: { Authorization: `Bearer ${token}`, ...(init?.body ? { "Content-Type": "application/json" } : {}) },
+    body: init?.form || (init?.body && JSON.stringify(init.body))
+  }), env, ctx);
+
+  const form = new FormData();
+  form.append("purpose", "batch");
+  form.append("file", new Blob(["{}"]), "input.jsonl");
+  const file = await (await call("token-a", "/v1/files", { method: "POST", form })).json();
+
+  assert.ok(store.entries.has(`file:a:${file.id}`));
+  assert.equal((await call("token-b", `/v1/files/${file.id}`)).status, 404);
+  assert.deepEqual((await (await call("token-b", "/v1/files")).json()).data, []);
+  assert.equal((await (await call("token-a", "/v1/files")).json()).data.length, 1);
+
+  const batch = await (await call("token-a", "/v1/batches", {
+    method: "POST",
+    body: { input_file_id: file.id, endpoint: "/v1/chat/completions" }
+  })).json();
+  assert.ok(store.entries.has(`batch:a:${batch.id}`));
+  assert.equal((await call("token-b", `/v1/batches/${batch.id}`)).status, 404);
+  assert.deepEqual((await (await call("token-b", "/v1/batches")).json()).data, []);
+  assert.equal((await (await call("token-a", "/v1/batches")).json()).data[0].id, batch.id);
+});
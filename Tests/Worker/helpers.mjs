@@ -0,0 +1,145 @@
+// Supporto ai test del gateway (worker.js) con node --test: fetch simulato, KV e storage
+// dei Durable Object in memoria. Nessuna dipendenza oltre a Node.
+import worker, { BatchCoordinatorDurableObject } from "../../worker.js";
+
+export { worker, BatchCoordinatorDurableObject };
+
+// Env minimo: accesso senza chiavi e log spenti, più i binding del test
+export function testEnv(extra = {}) {
+  return { GATEWAY_AUTH_DISABLED: "true", LOG_LEVEL: "off", ...extra };
+}
+
+// ctx del Module Worker: le promesse di waitUntil si attendono con drain()
+export function testCtx() {
+  const pending = [];
+  return {
+    waitUntil: promise => pending.push(promise),
+    async drain() {
+      while (pending.length) await pending.shift();
+    }
+  };
+}
+
+export async function callWorker(env, ctx, path, { method = "GET", body, form } = {}) {
+  const headers = {};
+  let payload = form;
+  if (body !== undefined) {
+    headers["Content-Type"] = "application/json";
+    payload = JSON.stringify(body);
+  }
+  return worker.fetch(new Request(`https://gateway.test${path}`, { method, headers, body: payload }), env, ctx);
+}
+
+// Sostituisce fetch globale per il test; handler(url, init) -> Response
+export function mockFetch(t, handler) {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (input, init = {}) => {
+    const url = typeof input === "string" ? input : input.url;
+    calls.push({ url, init });
+    return handler(url, init);
+  });
+  return calls;
+}
+
+export function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { "Content-Type": "application/json" } });
+}
+
+// Corpo SSE spezzato in letture da chunkSize byte (eventi divisi tra più letture)
+export function sseResponse(text, chunkSize = text.length) {
+  const bytes = new TextEncoder().encode(text);
+  return new Response(new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += chunkSize) controller.enqueue(bytes.slice(i, i + chunkSize));
+      controller.close();
+    }
+  }), { status: 200, headers: { "Content-Type": "text/event-stream" } });
+}
+
+// Blocchi SSE della risposta -> [{ event, data }] (data già parsato se JSON)
+export async function readSse(response) {
+  const text = await response.text();
+  return text.split("\n\n").filter(block => block.trim()).map(block => {
+    const event = block.match(/^event: (.*)$/m)?.[1] ?? null;
+    const raw = block.match(/^data: (.*)$/m)?.[1] ?? null;
+    let data = raw;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      // "[DONE]" e simili restano stringhe
+    }
+    return { event, data };
+  });
+}
+
+// KV in memoria con la stessa interfaccia usata dal worker (get/put/delete/list, metadata)
+export function memoryKV() {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key, options) {
+      if (!entries.has(key)) return null;
+      const type = typeof options === "string" ? options : options?.type;
+      const { value } = entries.get(key);
+      return type === "json" ? JSON.parse(value) : value;
+    },
+    async put(key, value, options = {}) {
+      if (value instanceof ReadableStream) value = await new Response(value).text();
+      entries.set(key, { value: String(value), metadata: options.metadata ?? null });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = "" } = {}) {
+      const keys = [...entries.keys()]
+        .filter(name => name.startsWith(prefix))
+        .sort()
+        .map(name => ({ name, metadata: entries.get(name).metadata }));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+// Storage di un Durable Object con alarm; fireAlarm() consuma l'alarm armato (se c'è)
+export function memoryDurableStorage() {
+  const data = new Map();
+  let alarm = null;
+  return {
+    data,
+    async get(key) {
+      return structuredClone(data.get(key));
+    },
+    async put(key, value) {
+      data.set(key, structuredClone(value));
+    },
+    async getAlarm() {
+      return alarm;
+    },
+    async setAlarm(time) {
+      alarm = time;
+    },
+    takeAlarm() {
+      const scheduled = alarm;
+      alarm = null;
+      return scheduled;
+    }
+  };
+}
+
+// Namespace BATCH_COORDINATOR: un'istanza per nome, con il proprio storage
+export function batchCoordinatorNamespace(getEnv) {
+  const instances = new Map();
+  return {
+    instances,
+    idFromName: name => name,
+    get(id) {
+      if (!instances.has(id)) {
+        const storage = memoryDurableStorage();
+        const object = new BatchCoordinatorDurableObject({ storage }, getEnv());
+        instances.set(id, { object, storage });
+      }
+      const { object } = instances.get(id);
+      return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+    }
+  };
+}
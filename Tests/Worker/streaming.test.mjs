@@ -0,0 +1,96 @@
+// Traduttori di stream: Anthropic SSE -> chat.completion.chunk e Chat Completions -> eventi
+// della Responses API (provider Chat dietro /v1/responses)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { callWorker, mockFetch, readSse, sseResponse, testCtx, testEnv } from "./helpers.mjs";
+
+const ANTHROPIC_EVENTS = [
+  'event: message_start\ndata: {"type":"message_start","message":{"id":"msg_1","model":"claude-3-5-haiku-20241022","usage":{"input_tokens":12,"output_tokens":1}}}\n\n',
+  'event: ping\ndata: {"type":"ping"}\n\n',
+  'event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}\n\n',
+  'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Ciao"}}\n\n',
+  'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" mondo"}}\r\n\r\n',
+  'event: content_block_stop\ndata: {"type":"content_block_stop","index":0}\n\n',
+  'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"max_tokens"},"usage":{"output_tokens":7}}\n\n',
+  'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+].join("");
+
+test("Anthropic SSE diventa chat.completion.chunk anche con eventi spezzati tra più letture", async (t) => {
+  mockFetch(t, () => sseResponse(ANTHROPIC_EVENTS, 7));
+  const env = testEnv({ ANTHROPIC_API_KEY: "test" });
+  const response = await callWorker(env, testCtx(), "/v1/chat/completions", {
+    method: "POST",
+    body: { model: "claude-3-5-haiku-20241022", stream: true, messages: [{ role: "user", content: "hi" }] }
+  });
+  assert.equal(response.status, 200);
+  const events = await readSse(response);
+
+  assert.equal(events.at(-1).data, "[DONE]");
+  const chunks = events.slice(0, -1).map(event => event.data);
+  assert.ok(chunks.every(chunk => chunk.object === "chat.completion.chunk" && chunk.id === "msg_1"));
+  assert.equal(chunks[0].choices[0].delta.role, "assistant");
+  const text = chunks.map(chunk => chunk.choices[0]?.delta?.content || "").join("");
+  assert.equal(text, "Ciao mondo");
+  assert.equal(chunks.find(chunk => chunk.choices[0]?.finish_reason)?.choices[0].finish_reason, "length");
+  assert.deepEqual(chunks.at(-1).choices, []);
+  assert.deepEqual(chunks.at(-1).usage, { prompt_tokens: 12, completion_tokens: 7, total_tokens: 19 });
+});
+
+test("stream Chat su /v1/responses diventa eventi Responses numerati", async (t) => {
+  mockFetch(t, () => sseResponse([
+    'data: {"id":"c1","model":"llama-3.1-8b-instant","choices":[{"index":0,"delta":{"role":"assistant","content":"Ciao "}}]}\n\n',
+    'data: {"id":"c1","choices":[{"index":0,"delta":{"content":"mondo"}}]}\n\n',
+    'data: {"id":"c1","choices":[{"index":0,"delta":{},"finish_reason":"stop"}],"usage":{"prompt_tokens":3,"completion_tokens":2,"total_tokens":5}}\n\n',
+    "data: [DONE]\n\n"
+  ].join(""), 11));
+  const env = testEnv({ GROQ_API_KEY: "test" });
+  const response = await callWorker(env, testCtx(), "/v1/responses", {
+    method: "POST",
+    body: { model: "llama-3.1-8b-instant", stream: true, input: "hi" }
+  });
+  assert.equal(response.status, 200);
+  const events = await readSse(response);
+
+  assert.deepEqual(events.map(event => event.event), [
+    "response.created",
+    "response.in_progress",
+    "response.output_item.added",
+    "response.content_part.added",
+    "response.output_text.delta",
+    "response.output_text.delta",
+    "response.output_text.done",
+    "response.content_part.done",
+    "response.output_item.done",
+    "response.completed"
+  ]);
+  assert.ok(events.every(({ event, data }) => data.type === event));
+  assert.deepEqual(events.map(({ data }) => data.sequence_number), events.map((_, index) => index));
+  const responseId = response.headers.get("x-gateway-response-id");
+  assert.equal(events[0].data.response.id, responseId);
+  const completed = events.at(-1).data.response;
+  assert.equal(completed.id, responseId);
+  assert.equal(completed.status, "completed");
+  assert.equal(completed.output[0].content[0].text, "Ciao mondo");
+});
+
+test("tool call in stream Chat diventa function_call con argomenti incrementali", async (t) => {
+  mockFetch(t, () => sseResponse([
+    'data: {"id":"c1","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"call_a","type":"function","function":{"name":"meteo","arguments":"{\\"c"}}]}}]}\n\n',
+    'data: {"id":"c1","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\":1}"}}]}}]}\n\n',
+    'data: {"id":"c1","choices":[{"index":0,"delta":{},"finish_reason":"tool_calls"}]}\n\n'
+  ].join("")));
+  const env = testEnv({ GROQ_API_KEY: "test" });
+  const response = await callWorker(env, testCtx(), "/v1/responses", {
+    method: "POST",
+    body: { model: "llama-3.1-8b-instant", stream: true, input: "hi", tools: [{ type: "function", name: "meteo", parameters: {} }] }
+  });
+  const events = await readSse(response);
+
+  const deltas = events.filter(({ event }) => event === "response.function_call_arguments.delta");
+  assert.deepEqual(deltas.map(({ data }) => data.delta), ['{"c', '":1}']);
+  const done = events.find(({ event }) => event === "response.output_item.done").data.item;
+  assert.equal(done.type, "function_call");
+  assert.equal(done.call_id, "call_a");
+  assert.equal(done.arguments, '{"c":1}');
+  assert.equal(events.at(-1).event, "response.completed");
+});
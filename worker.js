@@ -11,12 +11,18 @@ const PROVIDERS = {
   openai: {
     baseUrl: "https://api.openai.com/v1/chat/completions",
     responsesUrl: "https://api.openai.com/v1/responses",
+    transcriptionsUrl: "https://api.openai.com/v1/audio/transcriptions",
+    translationsUrl: "https://api.openai.com/v1/audio/translations",
+    embeddingsUrl: "https://api.openai.com/v1/embeddings",
+    moderationsUrl: "https://api.openai.com/v1/moderations",
     modelsUrl: "https://api.openai.com/v1/models",
     apiKeyEnv: "OPENAI_API_KEY",
     headerName: "Authorization",
     headerPrefix: "Bearer",
     supportsStreaming: true,
     supportsResponses: true,
+    // response_format supportati nativamente (gli altri via prompt o tool forzato)
+    responseFormats: ["json_object", "json_schema"],
     // Fallback statico (usato solo se manca la chiave o /models fallisce)
     supportedModels: [
       // Serie GPT-4.1 e 4o (2025) + legacy ancora presenti
@@ -27,7 +33,21 @@ const PROVIDERS = {
       "o3", "o3-mini", "o1", "o1-mini", "o1-preview",
       // Legacy per compatibilità
       "gpt-3.5-turbo"
-    ]
+    ],
+    // Modelli con input immagini ("*" finale = prefisso; altrimenti id esatto o variante datata)
+    visionModels: [
+      "gpt-4.1", "gpt-4.1-mini", "gpt-4.1-nano",
+      "gpt-4o", "gpt-4o-mini", "chatgpt-4o-latest",
+      "gpt-4-turbo", "gpt-5*",
+      "o1", "o3", "o4-mini"
+    ],
+    // Speech-to-text (/v1/audio/*)
+    audioModels: ["whisper-1", "gpt-4o-transcribe", "gpt-4o-mini-transcribe"],
+    // Embeddings (/v1/embeddings): modelli e numero massimo di input per chiamata
+    embeddingModels: ["text-embedding-3-small", "text-embedding-3-large", "text-embedding-ada-002"],
+    // Modelli che accettano "dimensions" (output ridotto)
+    embeddingDimensionModels: ["text-embedding-3-*"],
+    embeddingBatchSize: 2048
   },
   anthropic: {
     baseUrl: "https://api.anthropic.com/v1/messages",
@@ -37,6 +57,8 @@ const PROVIDERS = {
     headerPrefix: "",
     supportsStreaming: true,
     supportsResponses: false,
+    // Nessun response_format nativo: json_schema via tool forzato (vedi STRUCTURED_OUTPUT_TOOL)
+    responseFormats: [],
     supportedModels: [
       // Linea Claude 3.x (IDs ufficiali noti e stabili)
       "claude-3-7-sonnet-20250219",
@@ -44,16 +66,20 @@ const PROVIDERS = {
       "claude-3-5-haiku-20241022",
       "claude-3-opus-20240229",
       "claude-3-haiku-20240307"
-    ]
+    ],
+    visionModels: ["claude-*"]
   },
   groq: {
     baseUrl: "https://api.groq.com/openai/v1/chat/completions",
+    transcriptionsUrl: "https://api.groq.com/openai/v1/audio/transcriptions",
+    translationsUrl: "https://api.groq.com/openai/v1/audio/translations",
     modelsUrl: "https://api.groq.com/openai/v1/models",
     apiKeyEnv: "GROQ_API_KEY",
     headerName: "Authorization",
     headerPrefix: "Bearer",
     supportsStreaming: true,
     supportsResponses: false,
+    responseFormats: ["json_object"],
     supportedModels: [
       // Produzione (console.groq.com/docs/models)
       "llama-3.3-70b-versatile",
@@ -65,16 +91,20 @@ const PROVIDERS = {
       "whisper-large-v3",
       "whisper-large-v3-turbo"
       // (Altri preview possono apparire dinamicamente via /v1/models)
-    ]
+    ],
+    visionModels: ["meta-llama/llama-4-*"],
+    audioModels: ["whisper-large-v3", "whisper-large-v3-turbo"]
   },
   mistral: {
     baseUrl: "https://api.mistral.ai/v1/chat/completions",
+    embeddingsUrl: "https://api.mistral.ai/v1/embeddings",
     modelsUrl: "https://api.mistral.ai/v1/models",
     apiKeyEnv: "MISTRAL_API_KEY",
     headerName: "Authorization",
     headerPrefix: "Bearer",
     supportsStreaming: true,
     supportsResponses: false,
+    responseFormats: ["json_object", "json_schema"],
     supportedModels: [
       // Linea stabile “latest”
       "mistral-small-latest",
@@ -82,7 +112,12 @@ const PROVIDERS = {
       "mistral-large-latest"
       // (Vision/Code dedicati come Pixtral/Codestral sono gestiti dal provider e
       //  appariranno dinamicamente se inclusi nella tua org/progetto)
-    ]
+    ],
+    visionModels: ["pixtral-*", "mistral-small-latest", "mistral-medium-latest"],
+    embeddingModels: ["mistral-embed", "codestral-embed"],
+    // mistral-embed ha output fisso a 1024: "dimensions" solo su codestral-embed (output_dimension)
+    embeddingDimensionModels: ["codestral-embed*"],
+    embeddingBatchSize: 128
   },
   xai: {
     baseUrl: "https://api.x.ai/v1/chat/completions",
@@ -92,6 +127,7 @@ const PROVIDERS = {
     headerPrefix: "Bearer",
     supportsStreaming: true,
     supportsResponses: false,
+    responseFormats: ["json_object", "json_schema"],
     supportedModels: [
       // Rilasci 2025 (luglio+)
       "grok-4-0709",
@@ -107,10 +143,253 @@ const PROVIDERS = {
       // Serie 3 (ancora disponibili)
       "grok-3",
       "grok-3-mini"
-    ]
+    ],
+    visionModels: ["grok-4*", "grok-2-vision*", "grok-vision-beta"]
+  },
+  gemini: {
+    // API native: {baseUrl}/{model}:generateContent e :streamGenerateContent?alt=sse
+    baseUrl: "https://generativelanguage.googleapis.com/v1beta/models",
+    modelsUrl: "https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000",
+    apiKeyEnv: "GEMINI_API_KEY",
+    headerName: "x-goog-api-key",
+    headerPrefix: "",
+    supportsStreaming: true,
+    supportsResponses: false,
+    // Tramite generationConfig.responseMimeType / responseSchema
+    responseFormats: ["json_object", "json_schema"],
+    supportedModels: [
+      "gemini-2.5-pro",
+      "gemini-2.5-flash",
+      "gemini-2.5-flash-lite",
+      "gemini-2.0-flash",
+      "gemini-2.0-flash-lite"
+    ],
+    visionModels: ["gemini-*"]
+  },
+  deepseek: {
+    baseUrl: "https://api.deepseek.com/chat/completions",
+    modelsUrl: "https://api.deepseek.com/models",
+    apiKeyEnv: "DEEPSEEK_API_KEY",
+    headerName: "Authorization",
+    headerPrefix: "Bearer",
+    supportsStreaming: true,
+    supportsResponses: false,
+    responseFormats: ["json_object"],
+    supportedModels: [
+      "deepseek-chat",
+      // Restituisce il ragionamento in message.reasoning_content
+      "deepseek-reasoner"
+    ],
+    visionModels: []
+  },
+  perplexity: {
+    baseUrl: "https://api.perplexity.ai/chat/completions",
+    // Nessun endpoint /models pubblico: si usa sempre la lista statica
+    modelsUrl: null,
+    apiKeyEnv: "PERPLEXITY_API_KEY",
+    headerName: "Authorization",
+    headerPrefix: "Bearer",
+    supportsStreaming: true,
+    supportsResponses: false,
+    responseFormats: ["json_schema"],
+    // Risposte con citations / search_results (anche nei chunk di stream)
+    supportedModels: [
+      "sonar",
+      "sonar-pro",
+      "sonar-reasoning",
+      "sonar-reasoning-pro",
+      "sonar-deep-research"
+    ],
+    visionModels: ["sonar*"]
   }
 };
 
+// =========================
+// ROUTING MODELLI (alias e regole)
+// =========================
+// Ordine di risoluzione di "model":
+//   1. alias (es. "marilena-fast" -> "llama-3.1-8b-instant@groq")
+//   2. header x-provider esplicito (modello inoltrato così com'è)
+//   3. id esatti delle liste dei provider (supportedModels, visionModels, audio, embeddings)
+//   4. sintassi "provider/model" o "model@provider"
+//   5. regole in ordine: id esatto, prefisso "gpt-*" o glob "*-instruct-?b"
+// Nessuna corrispondenza -> 404 model_not_found.
+// Configurazione: KV ROUTING (chiave "config") e/o env MODEL_ROUTING, entrambi JSON
+//   { "aliases": { "<alias>": "<model>[@provider]" }, "rules": [{ "match": "...", "provider": "..." }] }
+// Alias e regole personalizzati hanno precedenza sui default.
+const DEFAULT_MODEL_ALIASES = {
+  "marilena-fast": "llama-3.1-8b-instant@groq",
+  "marilena-smart": "claude-3-7-sonnet-20250219@anthropic"
+};
+const DEFAULT_ROUTING_RULES = [
+  { match: "gemini-*", provider: "gemini" },
+  { match: "models/gemini-*", provider: "gemini" },
+  { match: "deepseek-r1-distill-*", provider: "groq" },
+  { match: "deepseek-*", provider: "deepseek" },
+  { match: "sonar*", provider: "perplexity" },
+  { match: "pplx-*", provider: "perplexity" },
+  { match: "grok-*", provider: "xai" },
+  { match: "claude-*", provider: "anthropic" },
+  { match: "mistral-*", provider: "mistral" },
+  { match: "magistral-*", provider: "mistral" },
+  { match: "ministral-*", provider: "mistral" },
+  { match: "codestral-*", provider: "mistral" },
+  { match: "pixtral-*", provider: "mistral" },
+  { match: "open-mistral-*", provider: "mistral" },
+  { match: "gpt-*", provider: "openai" },
+  { match: "chatgpt-*", provider: "openai" },
+  { match: "o1*", provider: "openai" },
+  { match: "o3*", provider: "openai" },
+  { match: "o4*", provider: "openai" },
+  { match: "openai/gpt-oss-*", provider: "groq" },
+  { match: "meta-llama/*", provider: "groq" },
+  { match: "moonshotai/*", provider: "groq" },
+  { match: "qwen/*", provider: "groq" },
+  { match: "llama-*", provider: "groq" },
+  { match: "llama3-*", provider: "groq" },
+  { match: "mixtral-*", provider: "groq" },
+  { match: "gemma*", provider: "groq" },
+  { match: "qwen-*", provider: "groq" }
+];
+const ROUTING_CACHE_TTL_MS = 60 * 1000;
+let routingCache = { key: null, loadedAt: 0, config: null };
+
+function parseRoutingConfig(text) {
+  if (!text) return {};
+  try {
+    const parsed = typeof text === "string" ? JSON.parse(text) : text;
+    return {
+      aliases: parsed.aliases && typeof parsed.aliases === "object" ? parsed.aliases : {},
+      rules: Array.isArray(parsed.rules) ? parsed.rules.filter(rule => rule?.match && PROVIDERS[rule.provider]) : []
+    };
+  } catch {
+    return {};
+  }
+}
+__name(parseRoutingConfig, "parseRoutingConfig");
+
+// Alias (chiavi minuscole) e regole effettive; la lettura da KV è in cache per ROUTING_CACHE_TTL_MS
+async function loadRoutingConfig(env) {
+  const cacheKey = `${env.ROUTING ? "kv" : "env"}:${env.MODEL_ROUTING || ""}`;
+  if (routingCache.key === cacheKey && Date.now() - routingCache.loadedAt < ROUTING_CACHE_TTL_MS) {
+    return routingCache.config;
+  }
+  const fromEnv = parseRoutingConfig(env.MODEL_ROUTING);
+  let fromKv = {};
+  if (env.ROUTING) {
+    try {
+      fromKv = parseRoutingConfig(await env.ROUTING.get("config"));
+    } catch {
+      fromKv = {};
+    }
+  }
+  const aliases = {};
+  for (const [alias, target] of Object.entries({ ...DEFAULT_MODEL_ALIASES, ...fromEnv.aliases, ...fromKv.aliases })) {
+    if (typeof target === "string" && target) aliases[alias.toLowerCase()] = target;
+  }
+  const config = {
+    aliases,
+    rules: [...(fromKv.rules || []), ...(fromEnv.rules || []), ...DEFAULT_ROUTING_RULES]
+  };
+  routingCache = { key: cacheKey, loadedAt: Date.now(), config };
+  return config;
+}
+__name(loadRoutingConfig, "loadRoutingConfig");
+
+// Pattern di regola: glob con "*"/"?" in qualunque posizione, altrimenti modelMatchesPattern
+function matchesRoutingPattern(model, pattern) {
+  const body = pattern.endsWith("*") ? pattern.slice(0, -1) : pattern;
+  if (!/[*?]/.test(body)) return modelMatchesPattern(model, pattern);
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${source}$`, "i").test(model);
+}
+__name(matchesRoutingPattern, "matchesRoutingPattern");
+
+// Provider che elenca esplicitamente il modello (id esatto, senza pattern)
+function findProviderByExactId(model) {
+  const modelLower = model.toLowerCase();
+  for (const [providerName, config] of Object.entries(PROVIDERS)) {
+    const ids = [
+      ...config.supportedModels,
+      ...(config.visionModels || []),
+      ...(config.audioModels || []),
+      ...(config.embeddingModels || [])
+    ].filter(id => !id.includes("*"));
+    if (ids.some(id => id.toLowerCase() === modelLower)) return providerName;
+  }
+  return null;
+}
+__name(findProviderByExactId, "findProviderByExactId");
+
+// Risoluzione senza alias: { providerName, model } oppure null
+function resolveModelTarget(routing, model) {
+  const exactProvider = findProviderByExactId(model);
+  if (exactProvider) return { providerName: exactProvider, model };
+
+  const atIndex = model.lastIndexOf("@");
+  if (atIndex > 0 && PROVIDERS[model.slice(atIndex + 1).toLowerCase()]) {
+    return { providerName: model.slice(atIndex + 1).toLowerCase(), model: model.slice(0, atIndex) };
+  }
+  const slashIndex = model.indexOf("/");
+  if (slashIndex > 0 && PROVIDERS[model.slice(0, slashIndex).toLowerCase()]) {
+    const rest = model.slice(slashIndex + 1);
+    // "openai/gpt-oss-*" è un id Groq: se una regola copre l'id completo ha la precedenza
+    if (!routing.rules.some(rule => matchesRoutingPattern(model, rule.match))) {
+      return { providerName: model.slice(0, slashIndex).toLowerCase(), model: rest };
+    }
+  }
+
+  const rule = routing.rules.find(candidate => matchesRoutingPattern(model, candidate.match));
+  if (rule) return { providerName: rule.provider, model: rule.model || model };
+  return null;
+}
+__name(resolveModelTarget, "resolveModelTarget");
+
+// Modello richiesto -> { providerName, model, alias } oppure { error: Response }
+function resolveModelRoute(routing, requestedModel, explicitProvider = null) {
+  const aliasTarget = routing.aliases[String(requestedModel).toLowerCase()];
+  const alias = aliasTarget ? requestedModel : null;
+  const model = aliasTarget || requestedModel;
+
+  if (explicitProvider && !aliasTarget) {
+    const providerName = explicitProvider.toLowerCase();
+    if (!PROVIDERS[providerName]) return { error: unsupportedProviderResponse(providerName, null) };
+    return { providerName, model, alias };
+  }
+  const target = resolveModelTarget(routing, model);
+  if (!target) {
+    return {
+      error: errorResponse(404, `The model '${requestedModel}' does not exist or is not routed by this gateway.`, {
+        code: "model_not_found", param: "model"
+      })
+    };
+  }
+  return { ...target, alias };
+}
+__name(resolveModelRoute, "resolveModelRoute");
+
+// Voci /v1/models per gli alias (owned_by = provider di destinazione)
+function aliasModelEntries(env, routing) {
+  return Object.entries(routing.aliases).flatMap(([alias]) => {
+    const route = resolveModelRoute(routing, alias);
+    if (route.error) return [];
+    return [{
+      ...buildModelEntry(env, route.providerName, route.model),
+      id: alias,
+      alias_for: `${route.providerName}/${route.model}`
+    }];
+  });
+}
+__name(aliasModelEntries, "aliasModelEntries");
+
+// Voce /v1/models visibile al client: per gli alias vale anche lo scope del modello di destinazione
+function isModelEntryAllowed(client, entry) {
+  if (isScopeAllowed(client, "models", entry.id)) return true;
+  if (!entry.alias_for) return false;
+  return isScopeAllowed(client, "models", entry.alias_for.slice(entry.alias_for.indexOf("/") + 1));
+}
+__name(isModelEntryAllowed, "isModelEntryAllowed");
+
 // =========================
 // UTILS
 // =========================
@@ -119,52 +398,52 @@ function getProviderFromHeader(request) {
 }
 __name(getProviderFromHeader, "getProviderFromHeader");
 
-function getProviderForModel(model) {
+// Confronto modello/pattern: "prefix*" oppure id esatto (anche con suffisso data o "-latest")
+function modelMatchesPattern(model, pattern) {
   const modelLower = (model || "").toLowerCase();
+  const patternLower = pattern.toLowerCase();
+  if (patternLower.endsWith("*")) return modelLower.startsWith(patternLower.slice(0, -1));
+  if (modelLower === patternLower) return true;
+  return modelLower.startsWith(patternLower + "-") &&
+    /^(\d|latest)/.test(modelLower.slice(patternLower.length + 1));
+}
+__name(modelMatchesPattern, "modelMatchesPattern");
 
-  // xAI
-  if (modelLower.includes("grok") || modelLower.startsWith("xai-")) return "xai";
-  // Anthropic
-  if (modelLower.startsWith("claude") || modelLower.includes("claude")) return "anthropic";
-  // Mistral
-  if (modelLower.includes("mistral")) return "mistral";
-  // OpenAI (gpt-*, chatgpt-*, o*-series)
-  if (
-    modelLower.startsWith("gpt-") ||
-    modelLower.includes("chatgpt") ||
-    modelLower.startsWith("o1") ||
-    modelLower.startsWith("o3") ||
-    modelLower.startsWith("o2") // compat futuro
-  ) return "openai";
-  // Groq hosted open-weights (llama, mixtral, gemma, qwen, deepseek, gpt-oss)
-  if (
-    (modelLower.includes("llama") ||
-     modelLower.includes("mixtral") ||
-     modelLower.includes("gemma") ||
-     modelLower.includes("qwen") ||
-     modelLower.includes("deepseek") ||
-     modelLower.includes("gpt-oss")) &&
-    !modelLower.includes("/")
-  ) return "groq";
-
-  // Fallback: ricerca nelle liste statiche
-  for (const [providerName, config] of Object.entries(PROVIDERS)) {
-    if (config.supportedModels.some(m =>
-      modelLower.includes(m.toLowerCase()) ||
-      m.toLowerCase().includes(modelLower)
-    )) {
-      return providerName;
-    }
+function supportsVision(providerName, model) {
+  const patterns = PROVIDERS[providerName]?.visionModels || [];
+  return patterns.some(pattern => modelMatchesPattern(model, pattern));
+}
+__name(supportsVision, "supportsVision");
+
+// true se il payload (messages Chat o input Responses) contiene parti immagine
+function requestHasImages(body) {
+  const isImagePart = part =>
+    part && (part.type === "image_url" || part.type === "input_image" || part.type === "image");
+  const hasImages = items => Array.isArray(items) && items.some(item =>
+    isImagePart(item) || (Array.isArray(item?.content) && item.content.some(isImagePart))
+  );
+  return hasImages(body?.messages) || hasImages(body?.input);
+}
+__name(requestHasImages, "requestHasImages");
+
+// URL upstream per la chat: Gemini ha modello e metodo nel path, gli altri un endpoint fisso
+function getChatUpstreamUrl(providerName, model, stream) {
+  const provider = PROVIDERS[providerName];
+  if (providerName === "gemini") {
+    const modelPath = String(model).replace(/^models\//, "");
+    return `${provider.baseUrl}/${encodeURIComponent(modelPath)}:${stream ? "streamGenerateContent?alt=sse" : "generateContent"}`;
   }
-  return "openai";
+  return provider.baseUrl;
 }
-__name(getProviderForModel, "getProviderForModel");
+__name(getChatUpstreamUrl, "getChatUpstreamUrl");
 
-function buildProviderHeaders(providerName, apiKey) {
+// requestId (opzionale) è inoltrato come x-request-id per correlare i log del provider
+function buildProviderHeaders(providerName, apiKey, requestId = null) {
   const provider = PROVIDERS[providerName];
   const headers = {
     "User-Agent": "Cloudflare-Worker-LLM-Gateway/3.0"
   };
+  if (requestId) headers["x-request-id"] = requestId;
   if (provider.headerPrefix) {
     headers[provider.headerName] = `${provider.headerPrefix} ${apiKey}`;
   } else {
@@ -178,591 +457,6253 @@ function buildProviderHeaders(providerName, apiKey) {
 }
 __name(buildProviderHeaders, "buildProviderHeaders");
 
+// Errore in formato OpenAI: {error: {message, type, code, param}}
+function errorResponse(status, message, { type = "invalid_request_error", code = null, param = null, details } = {}) {
+  const error = { message, type, code, param, ...(details ? details : {}) };
+  return new Response(JSON.stringify({ error }), {
+    status,
+    headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+  });
+}
+__name(errorResponse, "errorResponse");
+
 // =========================
-// TRASFORMAZIONI
+// ERRORI DEI PROVIDER (normalizzazione nel formato OpenAI)
 // =========================
-function transformForAnthropic(body) {
-  const messages = body.messages || [];
-  const systemMessage = messages.find(m => m.role === "system");
-  const userMessages = messages.filter(m => m.role !== "system");
-  return {
-    model: body.model,
-    max_tokens: body.max_tokens || 1024,
-    messages: userMessages,
-    stream: !!body.stream,
-    ...(systemMessage ? { system: systemMessage.content } : {})
-  };
+// Forme upstream: OpenAI/Groq/xAI/DeepSeek/Perplexity {error: {message, type, code}},
+// Anthropic {type: "error", error: {type, message}}, Gemini {error: {code, message, status}}
+// (anche come array), Mistral {object: "error", message, type, code} o {detail: [...]}.
+// Lo status HTTP è uniformato; l'errore originale resta in error.debug.
+function mapProviderErrorStatus(status) {
+  if (status === 401 || status === 403) {
+    // Chiave del provider non valida: problema di configurazione del gateway, non del client
+    return { status: 502, type: "api_error", code: "upstream_authentication_failed" };
+  }
+  if (status === 402) return { status: 429, type: "insufficient_quota", code: "insufficient_quota" };
+  if (status === 404) return { status: 404, type: "invalid_request_error", code: "not_found" };
+  if (status === 413) return { status: 413, type: "invalid_request_error", code: "request_too_large" };
+  if (status === 429) return { status: 429, type: "rate_limit_error", code: "rate_limit_exceeded" };
+  if (status === 408 || status === 504) return { status: 504, type: "api_error", code: "upstream_timeout" };
+  if (status === 503 || status === 529) return { status: 503, type: "api_error", code: "provider_overloaded" };
+  if (status >= 500) return { status: 502, type: "api_error", code: "upstream_error" };
+  return { status: 400, type: "invalid_request_error", code: null };
 }
-__name(transformForAnthropic, "transformForAnthropic");
+__name(mapProviderErrorStatus, "mapProviderErrorStatus");
 
-function transformAnthropicResponse(anthropicResponse) {
-  return {
-    id: anthropicResponse.id || ("chatcmpl-" + Date.now()),
-    object: "chat.completion",
-    created: Math.floor(Date.now() / 1000),
-    model: anthropicResponse.model,
-    choices: [
-      {
-        index: 0,
-        message: { role: "assistant", content: anthropicResponse?.content?.[0]?.text || "" },
-        finish_reason: anthropicResponse.stop_reason === "end_turn" ? "stop" : "length"
-      }
-    ],
-    usage: {
-      prompt_tokens: anthropicResponse?.usage?.input_tokens || 0,
-      completion_tokens: anthropropicResponse?.usage?.output_tokens || 0,
-      total_tokens:
-        (anthropicResponse?.usage?.input_tokens || 0) +
-        (anthropicResponse?.usage?.output_tokens || 0)
-    }
-  };
+// Messaggio/codice/param dal corpo d'errore del provider (JSON già parsato o testo)
+function extractProviderError(raw) {
+  const body = Array.isArray(raw) ? raw[0] : raw;
+  if (!body || typeof body !== "object") {
+    return { message: typeof raw === "string" && raw.trim() ? raw.trim().slice(0, 500) : null, code: null, param: null };
+  }
+  const err = body.error && typeof body.error === "object" ? body.error : body;
+  let message = err.message || (typeof body.error === "string" ? body.error : null);
+  if (!message && body.detail) {
+    // Errori di validazione (Mistral/FastAPI): [{loc, msg}]
+    message = Array.isArray(body.detail)
+      ? body.detail.map(item => [item.loc?.join("."), item.msg].filter(Boolean).join(": ")).join("; ")
+      : String(body.detail);
+  }
+  const code = [err.code, err.status, err.type].find(value => typeof value === "string") ?? null;
+  return { message: message || null, code, param: err.param ?? null };
 }
-__name(transformAnthropicResponse, "transformAnthropicResponse");
+__name(extractProviderError, "extractProviderError");
 
-// Responses API -> Chat (non-stream)
-function transformResponsesApiToChat(responsesApiResponse) {
+// Oggetto error OpenAI per un errore del provider (HTTP o evento di stream)
+function normalizeProviderError(providerName, status, raw) {
+  const mapped = mapProviderErrorStatus(status);
+  const extracted = extractProviderError(raw);
   return {
-    id: responsesApiResponse.id || ("chatcmpl-" + Date.now()),
-    object: "chat.completion",
-    created: Math.floor(Date.now() / 1000),
-    model: responsesApiResponse.model,
-    choices: [
-      {
-        index: 0,
-        message: {
-          role: "assistant",
-          content: responsesApiResponse?.output?.text || responsesApiResponse?.output || ""
-        },
-        finish_reason: responsesApiResponse.status === "completed" ? "stop" : "length"
-      }
-    ],
-    usage: responsesApiResponse.usage || {
-      prompt_tokens: 0,
-      completion_tokens: 0,
-      total_tokens: 0
+    status: mapped.status,
+    error: {
+      message: extracted.message || `${providerName} returned HTTP ${status}.`,
+      type: mapped.type,
+      code: extracted.code && mapped.code !== "upstream_authentication_failed" ? extracted.code : mapped.code,
+      param: extracted.param,
+      provider: providerName,
+      debug: { status, error: raw ?? null }
     }
   };
 }
-__name(transformResponsesApiToChat, "transformResponsesApiToChat");
-
-// Chat -> Responses API (quando il client manda Chat ma si vuole usare /v1/responses)
-function transformChatCompletionsToResponses(body) {
-  const messages = body.messages || [];
-  const lastUser = [...messages].reverse().find(m => m.role === "user");
-  const input = lastUser ? lastUser.content : "";
-
-  const systemMsgs = messages.filter(m => m.role === "system");
-  const conversationHistory = messages.filter(m => m.role !== "system");
-
-  const payload = {
-    model: body.model,
-    input,
-    modalities: ["text"],
-    metadata: {
-      conversation_history: conversationHistory,
-      system_context: systemMsgs.length ? systemMsgs[0].content : undefined
-    }
-  };
+__name(normalizeProviderError, "normalizeProviderError");
 
-  if (body.stream) payload.stream = { mode: "text" };
-  if (typeof body.max_output_tokens === "number") {
-    payload.max_output_tokens = body.max_output_tokens;
-  } else if (typeof body.max_tokens === "number") {
-    payload.max_output_tokens = body.max_tokens;
+// Risposta d'errore upstream -> Response nel formato OpenAI (conserva Retry-After)
+async function providerErrorResponse(providerName, resp) {
+  const text = await resp.text().catch(() => "");
+  let raw = text;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    // corpo non JSON (es. pagina HTML di un proxy): resta testo
   }
-  if (body.response_format) payload.response_format = body.response_format;
-  if (body.tools) payload.tools = body.tools;
-  if (body.tool_choice) payload.tool_choice = body.tool_choice;
+  const { status, error } = normalizeProviderError(providerName, resp.status, raw);
+  const { message, type, code, param, ...details } = error;
+  const response = errorResponse(status, message, { type, code, param, details });
+  const retryAfter = resp.headers.get("Retry-After");
+  if (retryAfter) response.headers.set("Retry-After", retryAfter);
+  return response;
+}
+__name(providerErrorResponse, "providerErrorResponse");
 
-  return payload;
+// Evento SSE finale per uno stream interrotto (stesso envelope delle risposte JSON)
+function streamErrorPayload(providerName, raw, status = 500) {
+  return { error: normalizeProviderError(providerName, status, raw).error };
 }
-__name(transformChatCompletionsToResponses, "transformChatCompletionsToResponses");
+__name(streamErrorPayload, "streamErrorPayload");
 
-// =========================
-// STREAMING (SSE)
-// =========================
-async function handleStreamingResponse(response, providerName) {
-  if (!response.body) {
-    return new Response("Stream not available", { status: 502 });
+// fetch verso il provider fallita (rete/DNS/TLS) o scaduta (timeout della policy upstream)
+function upstreamUnreachableResponse(providerName, error) {
+  if (error?.name === "TimeoutError") {
+    return errorResponse(504, `${providerName} did not respond in time: ${error.message}`, {
+      type: "api_error", code: "upstream_timeout"
+    });
   }
+  const reason = error instanceof Error ? error.message : "no upstream provider available";
+  return errorResponse(502, `Could not reach ${providerName}: ${reason}`, { type: "api_error", code: "upstream_unreachable" });
+}
+__name(upstreamUnreachableResponse, "upstreamUnreachableResponse");
 
-  const readable = new ReadableStream({
-    start(controller) {
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      const encoder = new TextEncoder();
+// Errore interno del gateway (eccezioni non gestite, JSON non valido, corpo upstream scaduto in lettura)
+function internalErrorResponse(error) {
+  if (error instanceof SyntaxError) {
+    return errorResponse(400, `Invalid JSON body: ${error.message}`, { code: "invalid_json" });
+  }
+  if (error?.name === "TimeoutError") {
+    return errorResponse(504, `The upstream provider did not respond in time: ${error.message}`, {
+      type: "api_error", code: "upstream_timeout"
+    });
+  }
+  const message = error instanceof Error ? error.message : "Unknown error";
+  return errorResponse(500, `Internal gateway error: ${message}`, { type: "server_error", code: "internal_error" });
+}
+__name(internalErrorResponse, "internalErrorResponse");
 
-      const pump = async () => {
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value, { stream: true });
-
-            if (providerName === "openai") {
-              // OpenAI Responses API: convert specific events -> chat chunks
-              const lines = chunk.split("\n");
-              for (const line of lines) {
-                if (!line.trim()) continue;
-                if (!line.startsWith("data:")) {
-                  // Passa-through eventuali righe non data:
-                  controller.enqueue(encoder.encode(line + "\n"));
-                  continue;
-                }
-                const data = line.slice(5).trim(); // after "data:"
-                if (data === "[DONE]") {
-                  controller.enqueue(encoder.encode("data: [DONE]\n\n"));
-                  controller.close();
-                  return;
-                }
-                try {
-                  const parsed = JSON.parse(data);
-                  // Eventi Responses API
-                  if (parsed.type === "response.output_text.delta") {
-                    const chatChunk = {
-                      id: parsed.response_id || ("chatcmpl-" + Date.now()),
-                      object: "chat.completion.chunk",
-                      created: Math.floor(Date.now() / 1000),
-                      model: parsed.model,
-                      choices: [
-                        {
-                          index: 0,
-                          delta: { content: parsed.delta || "" },
-                          finish_reason: null
-                        }
-                      ]
-                    };
-                    controller.enqueue(
-                      encoder.encode(`data: ${JSON.stringify(chatChunk)}\n\n`)
-                    );
-                  } else if (parsed.type === "response.completed") {
-                    const chatChunk = {
-                      id: parsed.response_id || ("chatcmpl-" + Date.now()),
-                      object: "chat.completion.chunk",
-                      created: Math.floor(Date.now() / 1000),
-                      model: parsed.model,
-                      choices: [
-                        { index: 0, delta: {}, finish_reason: "stop" }
-                      ]
-                    };
-                    controller.enqueue(
-                      encoder.encode(`data: ${JSON.stringify(chatChunk)}\n\n`)
-                    );
-                    controller.enqueue(encoder.encode("data: [DONE]\n\n"));
-                    controller.close();
-                    return;
-                  } else {
-                    // Altri eventi: passthrough
-                    controller.enqueue(encoder.encode(line + "\n"));
-                  }
-                } catch {
-                  // Non JSON -> passthrough
-                  controller.enqueue(encoder.encode(line + "\n"));
-                }
-              }
-            } else if (providerName === "anthropic") {
-              // Anthropic usa SSE con "event:" e "data:" – passthrough trasparente
-              controller.enqueue(encoder.encode(chunk));
-            } else {
-              // Altri provider: passthrough trasparente del chunk
-              controller.enqueue(value);
-            }
-          }
-        } catch (err) {
-          controller.error(err);
-        } finally {
-          reader.releaseLock();
-        }
-      };
+// Provider/chiave mancanti: stessi errori per tutti gli endpoint
+function unsupportedProviderResponse(providerName, param = "model") {
+  return errorResponse(400, `Unsupported provider: ${providerName}`, { code: "unsupported_provider", param });
+}
+__name(unsupportedProviderResponse, "unsupportedProviderResponse");
 
-      pump();
-    }
+function missingProviderKeyResponse(providerName) {
+  return errorResponse(503, `Provider '${providerName}' is not configured on this gateway (missing API key).`, {
+    type: "api_error", code: "provider_not_configured"
   });
+}
+__name(missingProviderKeyResponse, "missingProviderKeyResponse");
 
-  return new Response(readable, {
-    status: response.status,
-    statusText: response.statusText,
-    headers: {
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      "Connection": "keep-alive",
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization, x-provider"
+// KV in memoria con la stessa interfaccia di Workers KV (stand-in locale / test)
+function createMemoryKV() {
+  const entries = new Map();
+  const live = key => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
     }
-  });
+    return entry;
+  };
+  return {
+    async get(key, options) {
+      const entry = live(key);
+      if (!entry) return null;
+      const type = typeof options === "string" ? options : options?.type;
+      return type === "json" ? JSON.parse(entry.value) : entry.value;
+    },
+    async put(key, value, options = {}) {
+      if (value instanceof ReadableStream) value = await new Response(value).text();
+      const expiresAt = options.expirationTtl
+        ? Date.now() + options.expirationTtl * 1000
+        : (options.expiration ? options.expiration * 1000 : null);
+      entries.set(key, { value: String(value), expiresAt, metadata: options.metadata ?? null });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = "" } = {}) {
+      const keys = [...entries.keys()]
+        .filter(name => name.startsWith(prefix) && live(name))
+        .sort()
+        .map(name => ({ name, metadata: entries.get(name).metadata }));
+      return { keys, list_complete: true };
+    }
+  };
 }
-__name(handleStreamingResponse, "handleStreamingResponse");
+__name(createMemoryKV, "createMemoryKV");
 
 // =========================
-// /v1/models (dinamico + aggregato)
+// AUTENTICAZIONE (chiavi client del gateway)
 // =========================
-async function listModelsFromProvider(providerName, env) {
-  const provider = PROVIDERS[providerName];
-  const apiKey = env[provider.apiKeyEnv];
-  if (!apiKey) return null; // nessuna chiave -> evita chiamata esterna
+// Le chiavi client sono salvate nel KV GATEWAY_KEYS come "key:<sha256 hex del token>":
+//   { id, name, revoked?, admin?, scopes: { providers: [...], models: [...], endpoints: [...] } }
+// Scope assente o "*" = nessuna restrizione. Revoca: cancellare la voce o impostare revoked: true.
+// Senza KV, GATEWAY_CLIENT_KEYS (JSON { "<token>": record }) popola uno stand-in in memoria.
+let localKeyStore = null;
+let localKeyStoreSource = null;
 
-  const headers = buildProviderHeaders(providerName, apiKey);
-  try {
-    const res = await fetch(provider.modelsUrl, { method: "GET", headers });
-    const data = await res.json();
-    // Normalizza: alcune API ritornano {data: [...]}, altre la lista diretta
-    const models = Array.isArray(data?.data) ? data.data : (Array.isArray(data) ? data : []);
-    return models.map(m => ({
-      id: m.id || m.name || m.model || "unknown",
-      object: "model",
-      created: Math.floor(Date.now() / 1000),
-      owned_by: providerName
-    }));
-  } catch {
-    return null;
-  }
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
 }
+__name(sha256Hex, "sha256Hex");
 
-async function handleModelsEndpoint(request, env) {
-  const url = new URL(request.url);
-  const headerProvider = (getProviderFromHeader(request) || "").toLowerCase();
-  const aggregate = url.searchParams.get("aggregate") === "1" || headerProvider === "all";
+// Errore di configurazione del gateway (non del client): 500 server_error, dettaglio solo nei log
+function gatewayConfigError(message) {
+  const error = new Error(message);
+  error.name = "GatewayConfigError";
+  return error;
+}
+__name(gatewayConfigError, "gatewayConfigError");
 
-  if (aggregate) {
-    // Aggrega da tutti i provider con chiave configurata; fallback alla lista statica se serve
-    const results = [];
-    for (const providerName of Object.keys(PROVIDERS)) {
-      const dynamic = await listModelsFromProvider(providerName, env);
-      if (dynamic && dynamic.length) {
-        results.push(...dynamic);
-      } else {
-        // Fallback statico
-        const fallback = PROVIDERS[providerName].supportedModels.map(id => ({
-          id,
-          object: "model",
-          created: Math.floor(Date.now() / 1000),
-          owned_by: providerName
-        }));
-        results.push(...fallback);
-      }
+function gatewayConfigErrorResponse(message = "The gateway is misconfigured. Contact the gateway administrator.") {
+  return errorResponse(500, message, { type: "server_error", code: "server_error" });
+}
+__name(gatewayConfigErrorResponse, "gatewayConfigErrorResponse");
+
+async function getKeyStore(env) {
+  if (env.GATEWAY_KEYS) return env.GATEWAY_KEYS;
+  if (!env.GATEWAY_CLIENT_KEYS) return null;
+  if (localKeyStoreSource !== env.GATEWAY_CLIENT_KEYS) {
+    const store = createMemoryKV();
+    let records;
+    try {
+      records = JSON.parse(env.GATEWAY_CLIENT_KEYS);
+    } catch (error) {
+      // Il messaggio di JSON.parse può citare parte del secret: si logga solo il tipo di errore
+      writeLog(env, { level: "error", msg: "gateway_client_keys_invalid", error: error.name });
+      throw gatewayConfigError("GATEWAY_CLIENT_KEYS is not valid JSON");
     }
-    const payload = { object: "list", data: results };
-    return new Response(JSON.stringify(payload), {
-      status: 200,
-      headers: {
-        "Content-Type": "application/json",
-        "Access-Control-Allow-Origin": "*"
-      }
-    });
+    for (const [token, record] of Object.entries(records)) {
+      await store.put("key:" + await sha256Hex(token), JSON.stringify(record));
+    }
+    localKeyStore = store;
+    localKeyStoreSource = env.GATEWAY_CLIENT_KEYS;
   }
+  return localKeyStore;
+}
+__name(getKeyStore, "getKeyStore");
 
-  // Non aggregato: usa provider esplicito o default OpenAI
-  const providerName = headerProvider || "openai";
-  const provider = PROVIDERS[providerName];
+// Verifica "Authorization: Bearer <chiave>" -> { client } oppure { error: Response }.
+// Senza archivio chiavi (KV GATEWAY_KEYS o GATEWAY_CLIENT_KEYS) e senza GATEWAY_AUTH_DISABLED
+// il gateway risponde 500 con l'indicazione della configurazione mancante (non 401 a ogni client)
+async function authenticateRequest(request, env) {
+  if (env.GATEWAY_AUTH_DISABLED === "true") return { client: null };
 
-  if (!provider) {
-    return new Response(JSON.stringify({ error: `Unsupported provider: ${providerName}` }), {
-      status: 400,
-      headers: { "Content-Type": "application/json" }
-    });
+  let store;
+  try {
+    store = await getKeyStore(env);
+  } catch (error) {
+    if (error?.name === "GatewayConfigError") return { error: gatewayConfigErrorResponse() };
+    throw error;
+  }
+  if (!store) {
+    writeLog(env, { level: "error", msg: "gateway_auth_not_configured" });
+    return {
+      error: gatewayConfigErrorResponse(
+        "Gateway authentication is not configured: bind the GATEWAY_KEYS KV namespace or set GATEWAY_CLIENT_KEYS, " +
+        "or set GATEWAY_AUTH_DISABLED=true to run without client keys."
+      )
+    };
   }
 
-  const apiKey = env[provider.apiKeyEnv];
-  if (!apiKey) {
-    // Nessuna chiave -> restituisce fallback statico
-    const payload = {
-      object: "list",
-      data: provider.supportedModels.map(id => ({
-        id,
-        object: "model",
-        created: Math.floor(Date.now() / 1000),
-        owned_by: providerName
-      }))
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get("Authorization") || "");
+  if (!match) {
+    return {
+      error: errorResponse(401, "Missing gateway API key. Send it as 'Authorization: Bearer <key>'.", {
+        code: "missing_api_key"
+      })
     };
-    return new Response(JSON.stringify(payload), {
-      status: 200,
-      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
-    });
   }
 
-  // Forward alla /models del provider
-  const headers = buildProviderHeaders(providerName, apiKey);
-  try {
-    const res = await fetch(provider.modelsUrl, { method: "GET", headers });
-    const data = await res.json();
-    return new Response(JSON.stringify(data), {
-      status: res.status,
-      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+  const client = await loadClientByKeyHash(env, await sha256Hex(match[1]));
+  if (!client) {
+    return { error: errorResponse(401, "Invalid or revoked gateway API key.", { code: "invalid_api_key" }) };
+  }
+  return { client };
+}
+__name(authenticateRequest, "authenticateRequest");
+
+// Client dal record KV della chiave (hash SHA-256 del token); null se assente o revocata.
+// Usato anche dai batch per rileggere permessi e limiti attuali a ogni esecuzione
+async function loadClientByKeyHash(env, hash) {
+  const store = await getKeyStore(env);
+  const record = store ? await store.get("key:" + hash, "json") : null;
+  if (!record || record.revoked) return null;
+  return {
+    id: record.id || hash.slice(0, 12),
+    name: record.name,
+    key_hash: hash,
+    scopes: record.scopes || {},
+    limits: record.limits || null,
+    // Hook PII/moderazione della chiave (vedi resolveContentPolicy)
+    content_policy: record.content_policy || null,
+    // admin: vede l'uso di tutti i client in /v1/usage
+    admin: record.admin === true
+  };
+}
+__name(loadClientByKeyHash, "loadClientByKeyHash");
+
+// Scope del client: providers per nome esatto, endpoints con i sotto-percorsi, models anche con pattern "prefix*"
+function isScopeAllowed(client, scope, value) {
+  const allowed = client?.scopes?.[scope];
+  if (!Array.isArray(allowed) || allowed.includes("*")) return true;
+  if (scope === "models") return allowed.some(pattern => modelMatchesPattern(value, pattern));
+  // Un endpoint consentito copre anche i suoi sotto-percorsi (es. /v1/batches/:id/cancel)
+  if (scope === "endpoints") return allowed.some(endpoint => value === endpoint || value.startsWith(endpoint + "/"));
+  return allowed.includes(value);
+}
+__name(isScopeAllowed, "isScopeAllowed");
+
+// 403 se il client non può usare provider/modello richiesti, altrimenti null
+// (con un alias basta che sia in scope il nome dell'alias oppure il modello di destinazione)
+function checkModelAccess(client, providerName, model, alias = null) {
+  if (!isScopeAllowed(client, "providers", providerName)) {
+    return errorResponse(403, `This API key is not allowed to use provider '${providerName}'.`, {
+      code: "provider_not_allowed", param: "model"
     });
-  } catch (e) {
-    // Fallback statico in caso di errore
-    const payload = {
-      object: "list",
-      data: provider.supportedModels.map(id => ({
-        id,
-        object: "model",
-        created: Math.floor(Date.now() / 1000),
-        owned_by: providerName
-      }))
-    };
-    return new Response(JSON.stringify(payload), {
-      status: 200,
-      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+  }
+  if (!isScopeAllowed(client, "models", model) && !(alias && isScopeAllowed(client, "models", alias))) {
+    return errorResponse(403, `This API key is not allowed to use model '${model}'.`, {
+      code: "model_not_allowed", param: "model"
     });
   }
+  return null;
 }
-__name(handleModelsEndpoint, "handleModelsEndpoint");
+__name(checkModelAccess, "checkModelAccess");
 
 // =========================
-// /v1/responses (preferito per OpenAI)
+// RATE LIMITING E QUOTE TOKEN
 // =========================
-async function handleResponsesEndpoint(request, env) {
-  try {
-    const bodyText = await request.text();
-    const body = JSON.parse(bodyText || "{}");
-    const model = body.model;
+// Limiti per chiave (record KV "limits") oppure default da env DEFAULT_RATE_LIMITS (JSON):
+//   { requests_per_minute, tokens_per_day, providers: { <provider>: { requests_per_minute, tokens_per_day } } }
+// I contatori vivono nel Durable Object RATE_LIMITER (una istanza per chiave client);
+// senza binding si usa una mappa in memoria con la stessa logica.
+const RATE_LIMIT_WINDOWS = {
+  requests: 60 * 1000,
+  tokens: 24 * 60 * 60 * 1000
+};
 
-    if (!model) {
-      return new Response(JSON.stringify({ error: "Model parameter is required" }), {
-        status: 400, headers: { "Content-Type": "application/json" }
-      });
-    }
+const memoryCounterStorage = new Map();
 
-    const explicitProvider = (getProviderFromHeader(request) || "").toLowerCase();
-    const providerName = explicitProvider || getProviderForModel(model);
+// Operazioni su contatori a finestra fissa: "consume" (verifica + incremento), "peek", "add"
+async function applyCounterOp(storage, { op, name, amount = 1, limit = 0, windowMs }) {
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const resetAt = windowStart + windowMs;
+  let record = await storage.get(name);
+  if (!record || record.windowStart !== windowStart) record = { windowStart, count: 0 };
+
+  const over = op === "consume" ? record.count + amount > limit : record.count >= limit;
+  if (limit > 0 && op !== "add" && over) {
+    return { allowed: false, count: record.count, limit, remaining: Math.max(0, limit - record.count), resetAt };
+  }
+  if (op !== "peek") {
+    record.count += amount;
+    await storage.put(name, record);
+  }
+  return { allowed: true, count: record.count, limit, remaining: Math.max(0, limit - record.count), resetAt };
+}
+__name(applyCounterOp, "applyCounterOp");
+
+function getCounterStore(env) {
+  if (env.RATE_LIMITER) {
+    return {
+      async run(shard, op) {
+        const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(shard));
+        const res = await stub.fetch("https://rate-limiter/counter", {
+          method: "POST",
+          body: JSON.stringify(op)
+        });
+        return res.json();
+      }
+    };
+  }
+  const storage = {
+    get: async key => memoryCounterStorage.get(key),
+    put: async (key, value) => { memoryCounterStorage.set(key, value); }
+  };
+  return { run: async (shard, op) => applyCounterOp(storage, op) };
+}
+__name(getCounterStore, "getCounterStore");
+
+// Bucket applicabili alla richiesta: totale per chiave + eventuale limite per provider
+function resolveLimitBuckets(env, client, providerName) {
+  let limits = client?.limits;
+  if (!limits && env.DEFAULT_RATE_LIMITS) {
+    try {
+      limits = JSON.parse(env.DEFAULT_RATE_LIMITS);
+    } catch {
+      limits = null;
+    }
+  }
+  if (!limits) return [];
+
+  const clientId = client?.id || "anonymous";
+  const buckets = [{
+    name: `key:${clientId}`,
+    requestsPerMinute: limits.requests_per_minute || 0,
+    tokensPerDay: limits.tokens_per_day || 0
+  }];
+  const providerLimits = limits.providers?.[providerName];
+  if (providerLimits) {
+    buckets.push({
+      name: `key:${clientId}:provider:${providerName}`,
+      provider: providerName,
+      requestsPerMinute: providerLimits.requests_per_minute || 0,
+      tokensPerDay: providerLimits.tokens_per_day || 0
+    });
+  }
+  return buckets;
+}
+__name(resolveLimitBuckets, "resolveLimitBuckets");
+
+// Durata nel formato degli header OpenAI (es. "1s", "6m0s", "2h3m4s")
+function formatResetDuration(ms) {
+  let seconds = Math.max(1, Math.ceil(ms / 1000));
+  const hours = Math.floor(seconds / 3600);
+  seconds %= 3600;
+  const minutes = Math.floor(seconds / 60);
+  seconds %= 60;
+  if (hours) return `${hours}h${minutes}m${seconds}s`;
+  if (minutes) return `${minutes}m${seconds}s`;
+  return `${seconds}s`;
+}
+__name(formatResetDuration, "formatResetDuration");
+
+function rateLimitResponse(kind, result) {
+  const waitMs = result.resetAt - Date.now();
+  const message = kind === "requests"
+    ? `Rate limit reached for requests: limit ${result.limit} per minute.`
+    : `Token quota reached: limit ${result.limit} tokens per day.`;
+  const response = errorResponse(429, message, { type: kind, code: "rate_limit_exceeded" });
+  response.headers.set("Retry-After", String(Math.max(1, Math.ceil(waitMs / 1000))));
+  response.headers.set(`x-ratelimit-limit-${kind}`, String(result.limit));
+  response.headers.set(`x-ratelimit-remaining-${kind}`, String(result.remaining));
+  response.headers.set(`x-ratelimit-reset-${kind}`, formatResetDuration(waitMs));
+  return response;
+}
+__name(rateLimitResponse, "rateLimitResponse");
+
+// Conta la richiesta e verifica la quota token giornaliera; 429 se oltre limite, altrimenti null
+// providerOnly: solo i limiti del provider (fallback, richiesta già contata sulla chiave)
+async function enforceRateLimits(env, client, providerName, { providerOnly = false } = {}) {
+  const buckets = resolveLimitBuckets(env, client, providerName).filter(bucket => !providerOnly || bucket.provider);
+  if (!buckets.length) return null;
+  const store = getCounterStore(env);
+  const shard = client?.id || "anonymous";
+
+  for (const bucket of buckets) {
+    if (bucket.requestsPerMinute) {
+      const result = await store.run(shard, {
+        op: "consume",
+        name: `${bucket.name}:requests`,
+        amount: 1,
+        limit: bucket.requestsPerMinute,
+        windowMs: RATE_LIMIT_WINDOWS.requests
+      });
+      if (!result.allowed) return rateLimitResponse("requests", result);
+    }
+    if (bucket.tokensPerDay) {
+      const result = await store.run(shard, {
+        op: "peek",
+        name: `${bucket.name}:tokens`,
+        limit: bucket.tokensPerDay,
+        windowMs: RATE_LIMIT_WINDOWS.tokens
+      });
+      if (!result.allowed) return rateLimitResponse("tokens", result);
+    }
+  }
+  return null;
+}
+__name(enforceRateLimits, "enforceRateLimits");
+
+// Totale token da un oggetto usage (Chat: prompt/completion, Responses/Anthropic: input/output)
+function usageTotalTokens(usage) {
+  if (!usage) return 0;
+  if (typeof usage.total_tokens === "number") return usage.total_tokens;
+  return (usage.prompt_tokens || usage.input_tokens || 0) +
+    (usage.completion_tokens || usage.output_tokens || 0);
+}
+__name(usageTotalTokens, "usageTotalTokens");
+
+// Addebita i token consumati sulle quote giornaliere dei bucket con tokens_per_day
+async function recordTokenUsage(env, client, providerName, usage) {
+  const tokens = usageTotalTokens(usage);
+  if (!tokens) return;
+  const buckets = resolveLimitBuckets(env, client, providerName).filter(b => b.tokensPerDay);
+  if (!buckets.length) return;
+  const store = getCounterStore(env);
+  const shard = client?.id || "anonymous";
+  for (const bucket of buckets) {
+    await store.run(shard, {
+      op: "add",
+      name: `${bucket.name}:tokens`,
+      amount: tokens,
+      windowMs: RATE_LIMIT_WINDOWS.tokens
+    });
+  }
+}
+__name(recordTokenUsage, "recordTokenUsage");
+
+// =========================
+// TRACCIAMENTO E LOG STRUTTURATI
+// =========================
+// Ogni richiesta ha un id (header x-request-id del client se valido, altrimenti generato),
+// restituito nella risposta e inoltrato ai provider. A fine richiesta (o a fine stream)
+// viene scritta una riga di log JSON con route, provider, modello, status, latenza,
+// TTFT, tentativi e cache. I contenuti dei prompt non sono mai loggati.
+// Soglia: env LOG_LEVEL = "debug" | "info" (default) | "warn" | "error" | "off".
+// Modalità debug (env GATEWAY_DEBUG = "true", oppure header "x-gateway-debug: true" per
+// chiavi admin): logga anche la struttura del corpo tradotto inviato upstream, con i testi
+// redatti; le righe sono di livello "debug" (GATEWAY_DEBUG senza LOG_LEVEL vale "debug").
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Campi con testo dell'utente/modello nei payload dei vari provider
+const PROMPT_FIELDS = new Set(["content", "text", "input", "instructions", "prompt", "system", "arguments", "data", "url", "image_url"]);
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: Infinity };
+
+function resolveRequestId(request) {
+  const incoming = request.headers.get("x-request-id") || "";
+  return REQUEST_ID_PATTERN.test(incoming) ? incoming : `req_${crypto.randomUUID().replace(/-/g, "")}`;
+}
+__name(resolveRequestId, "resolveRequestId");
+
+// Copia del payload con i testi sostituiti da "[redacted N chars]"
+function redactForLog(value, key = null) {
+  if (typeof value === "string") {
+    return key && PROMPT_FIELDS.has(key) ? `[redacted ${value.length} chars]` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => (typeof item === "string" && key && PROMPT_FIELDS.has(key)
+      ? `[redacted ${item.length} chars]`
+      : redactForLog(item, typeof item === "object" ? null : key)));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([field, child]) => [field, redactForLog(child, field)]));
+  }
+  return value;
+}
+__name(redactForLog, "redactForLog");
+
+// Livello minimo da env LOG_LEVEL; valori sconosciuti -> "info"
+function resolveLogLevel(env) {
+  const configured = String(env?.LOG_LEVEL || "").trim().toLowerCase();
+  if (configured in LOG_LEVELS) return LOG_LEVELS[configured];
+  return env?.GATEWAY_DEBUG === "true" && !configured ? LOG_LEVELS.debug : LOG_LEVELS.info;
+}
+__name(resolveLogLevel, "resolveLogLevel");
+
+function writeLog(env, entry) {
+  if ((LOG_LEVELS[entry.level] ?? LOG_LEVELS.info) < resolveLogLevel(env)) return;
+  console.log(JSON.stringify({ ts: new Date().toISOString(), ...entry }));
+}
+__name(writeLog, "writeLog");
+
+function createRequestTrace(request, env, url) {
+  const started = Date.now();
+  const requestId = resolveRequestId(request);
+  const debugHeader = (request.headers.get("x-gateway-debug") || "").toLowerCase() === "true";
+  const fields = {
+    request_id: requestId,
+    method: request.method,
+    route: url.pathname,
+    client: null,
+    provider: null,
+    model: null,
+    served_by: null,
+    status: null,
+    stream: false,
+    retries: 0,
+    cache: null,
+    latency_ms: null,
+    ttft_ms: null
+  };
+  let streaming = false;
+  let logged = false;
+  let debug = env.GATEWAY_DEBUG === "true";
+
+  return {
+    requestId,
+    get streaming() { return streaming; },
+    // L'header di debug vale solo per i client admin (o con autenticazione disattivata)
+    authorize(client) {
+      fields.client = client?.id || null;
+      if (debugHeader && (!client || client.admin)) debug = true;
+    },
+    set(values) {
+      Object.assign(fields, values);
+    },
+    // Lo stream chiude il log da sé (TTFT e latenza totale sono noti solo alla fine)
+    startStream() {
+      streaming = true;
+      fields.stream = true;
+      fields.status = 200;
+    },
+    firstToken() {
+      if (fields.ttft_ms === null) fields.ttft_ms = Date.now() - started;
+    },
+    debugUpstream(providerName, upstreamUrl, body) {
+      if (!debug) return;
+      writeLog(env, {
+        level: "debug",
+        msg: "upstream_request",
+        request_id: requestId,
+        provider: providerName,
+        url: upstreamUrl,
+        body: redactForLog(body)
+      });
+    },
+    finish(values = {}) {
+      if (logged) return;
+      logged = true;
+      Object.assign(fields, values);
+      fields.latency_ms = Date.now() - started;
+      writeLog(env, { level: fields.status >= 500 ? "error" : (fields.status >= 400 ? "warn" : "info"), msg: "request", ...fields });
+    }
+  };
+}
+__name(createRequestTrace, "createRequestTrace");
+
+// =========================
+// CONTABILITÀ USO E COSTI
+// =========================
+// Ogni chiamata upstream è registrata nel KV USAGE_LOG (o stand-in in memoria) come
+// "usage:<YYYY-MM-DD>:<ms>:<rand>"; nei metadata (max 1024 byte) solo il client, per filtrare
+// le list() senza leggere i valori. I giorni chiusi (un'ora dopo la mezzanotte UTC) sono
+// ridotti una volta sola in "usage_rollup:<YYYY-MM-DD>" (righe già sommate per tutte le
+// dimensioni): il cron prepara quello di ieri, /v1/usage crea quelli mancanti e legge gli
+// eventi grezzi solo per il giorno in corso.
+// Conservazione: env USAGE_RETENTION_DAYS (default 90).
+const DEFAULT_USAGE_RETENTION_DAYS = 90;
+const USAGE_MAX_RANGE_DAYS = 92;
+const USAGE_GROUP_FIELDS = ["day", "model", "provider", "client", "route"];
+const USAGE_SUM_FIELDS = ["requests", "errors", "cached", "prompt_tokens", "completion_tokens", "total_tokens",
+  "cost_usd", "unpriced_requests", "latency_ms_total"];
+const USAGE_DAY_MS = 24 * 60 * 60 * 1000;
+const USAGE_ROLLUP_GRACE_MS = 60 * 60 * 1000;
+const USAGE_READ_CONCURRENCY = 16;
+const localUsageStore = createMemoryKV();
+
+function getUsageStore(env) {
+  return env.USAGE_LOG || localUsageStore;
+}
+__name(getUsageStore, "getUsageStore");
+
+// Costo stimato in USD dal listino (null se il prezzo del modello non è noto)
+function estimateUsageCost(env, providerName, model, promptTokens, completionTokens) {
+  const pricing = getModelPricing(env, providerName, model);
+  if (!pricing) return null;
+  const cost = (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+__name(estimateUsageCost, "estimateUsageCost");
+
+// Contatore per richiesta: addebita le quote token e registra l'evento d'uso.
+// Con ctx.waitUntil la scrittura avviene dopo la risposta. meter.trace = tracciamento della richiesta.
+function createUsageMeter(env, client, route, ctx, trace = null) {
+  const started = Date.now();
+  return {
+    trace,
+    route,
+    get requestId() { return trace?.requestId || null; },
+    // Scrittura in background oltre la risposta (es. fine stream): registrata su ctx.waitUntil
+    waitUntil: (promise) => {
+      const task = Promise.resolve(promise).catch(() => {});
+      ctx?.waitUntil?.(task);
+      return task;
+    },
+    record({ provider, model, status = 200, usage = null, stream = false, cached = false }) {
+      trace?.set({ provider, model });
+      const promptTokens = usage?.prompt_tokens ?? usage?.input_tokens ?? 0;
+      const completionTokens = usage?.completion_tokens ?? usage?.output_tokens ?? 0;
+      const now = new Date();
+      const event = {
+        ts: now.toISOString(),
+        day: now.toISOString().slice(0, 10),
+        client: client?.id || "anonymous",
+        client_name: client?.name || null,
+        route,
+        provider,
+        model,
+        status,
+        stream,
+        cached,
+        request_id: trace?.requestId || null,
+        latency_ms: Date.now() - started,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: usageTotalTokens(usage),
+        cost_usd: cached ? 0 : estimateUsageCost(env, provider, model, promptTokens, completionTokens)
+      };
+      const ttlDays = Number(env.USAGE_RETENTION_DAYS) || DEFAULT_USAGE_RETENTION_DAYS;
+      const key = `usage:${event.day}:${now.getTime()}:${crypto.randomUUID().slice(0, 8)}`;
+      const write = Promise.all([
+        recordTokenUsage(env, client, provider, usage),
+        getUsageStore(env).put(key, JSON.stringify(event), {
+          expirationTtl: ttlDays * 24 * 60 * 60,
+          metadata: { client: event.client }
+        })
+      ]).catch(() => {
+        // La contabilità non deve mai far fallire la richiesta
+      });
+      if (ctx?.waitUntil) {
+        ctx.waitUntil(write);
+        return Promise.resolve();
+      }
+      return write;
+    }
+  };
+}
+__name(createUsageMeter, "createUsageMeter");
+
+// Evento -> riga parziale (stessa forma delle righe dei rollup giornalieri)
+function usageEventRow(event) {
+  const unpriced = event.cost_usd === null || event.cost_usd === undefined;
+  return {
+    ...Object.fromEntries(USAGE_GROUP_FIELDS.map(field => [field, event[field] ?? null])),
+    requests: 1,
+    errors: event.status >= 400 ? 1 : 0,
+    cached: event.cached ? 1 : 0,
+    prompt_tokens: event.prompt_tokens || 0,
+    completion_tokens: event.completion_tokens || 0,
+    total_tokens: event.total_tokens || 0,
+    cost_usd: unpriced ? 0 : event.cost_usd,
+    unpriced_requests: unpriced ? 1 : 0,
+    latency_ms_total: event.latency_ms || 0
+  };
+}
+__name(usageEventRow, "usageEventRow");
+
+// Somma delle righe parziali per i campi di groupBy
+function mergeUsageRows(rows, groupBy) {
+  const groups = new Map();
+  for (const row of rows) {
+    const dimensions = Object.fromEntries(groupBy.map(field => [field, row[field] ?? null]));
+    const key = JSON.stringify(dimensions);
+    if (!groups.has(key)) {
+      groups.set(key, { ...dimensions, ...Object.fromEntries(USAGE_SUM_FIELDS.map(field => [field, 0])) });
+    }
+    const group = groups.get(key);
+    for (const field of USAGE_SUM_FIELDS) group[field] += row[field] || 0;
+  }
+  return [...groups.values()];
+}
+__name(mergeUsageRows, "mergeUsageRows");
+
+// Righe di un giorno dagli eventi grezzi (paginazione delle list()); clientFilter usa i metadata
+async function loadUsageDayRows(env, day, clientFilter = null) {
+  const store = getUsageStore(env);
+  const names = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: `usage:${day}:`, cursor });
+    for (const key of page.keys) {
+      if (!clientFilter || !key.metadata?.client || key.metadata.client === clientFilter) names.push(key.name);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  const events = await mapWithConcurrency(names, USAGE_READ_CONCURRENCY, name => store.get(name, "json"));
+  return mergeUsageRows(events.filter(Boolean).map(usageEventRow), USAGE_GROUP_FIELDS);
+}
+__name(loadUsageDayRows, "loadUsageDayRows");
+
+// Rollup di un giorno chiuso: letto se esiste, altrimenti calcolato dagli eventi e salvato
+async function ensureUsageRollup(env, day) {
+  const store = getUsageStore(env);
+  const key = `usage_rollup:${day}`;
+  const existing = await store.get(key, "json");
+  if (existing) return existing.rows;
+  const rows = await loadUsageDayRows(env, day);
+  const ttlDays = Number(env.USAGE_RETENTION_DAYS) || DEFAULT_USAGE_RETENTION_DAYS;
+  await store.put(key, JSON.stringify({ day, rows }), { expirationTtl: ttlDays * 24 * 60 * 60 });
+  return rows;
+}
+__name(ensureUsageRollup, "ensureUsageRollup");
+
+// Giorno ancora aperto: gli eventi scritti in background possono arrivare dopo la mezzanotte
+function isUsageDayClosed(day) {
+  return Date.parse(`${day}T00:00:00Z`) + USAGE_DAY_MS + USAGE_ROLLUP_GRACE_MS <= Date.now();
+}
+__name(isUsageDayClosed, "isUsageDayClosed");
+
+// Righe parziali dei giorni [start, end] (YYYY-MM-DD): rollup per i giorni chiusi, eventi grezzi per gli altri
+async function loadUsageRows(env, start, end, clientFilter = null) {
+  const rows = [];
+  for (let day = new Date(`${start}T00:00:00Z`); day.toISOString().slice(0, 10) <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    const dayKey = day.toISOString().slice(0, 10);
+    rows.push(...(isUsageDayClosed(dayKey)
+      ? await ensureUsageRollup(env, dayKey)
+      : await loadUsageDayRows(env, dayKey, clientFilter)));
+  }
+  return clientFilter ? rows.filter(row => row.client === clientFilter) : rows;
+}
+__name(loadUsageRows, "loadUsageRows");
+
+// Cron: rollup dell'ultimo giorno chiuso, così /v1/usage non legge gli eventi grezzi
+async function rollupClosedUsageDay(env) {
+  const day = new Date(Date.now() - USAGE_DAY_MS - USAGE_ROLLUP_GRACE_MS).toISOString().slice(0, 10);
+  await ensureUsageRollup(env, day);
+}
+__name(rollupClosedUsageDay, "rollupClosedUsageDay");
+
+// Righe aggregate per i campi di groupBy (groupBy vuoto = una sola riga di totali, anche a zero)
+function aggregateUsageRows(rows, groupBy) {
+  return mergeUsageRows(groupBy.length ? rows : [{}, ...rows], groupBy).map(({ latency_ms_total, ...group }) => ({
+    ...group,
+    cost_usd: Math.round(group.cost_usd * 1e6) / 1e6,
+    avg_latency_ms: group.requests ? Math.round(latency_ms_total / group.requests) : 0
+  }));
+}
+__name(aggregateUsageRows, "aggregateUsageRows");
+
+function usageRowsToCsv(rows, columns) {
+  const escape = value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(","), ...rows.map(row => columns.map(column => escape(row[column])).join(","))].join("\n") + "\n";
+}
+__name(usageRowsToCsv, "usageRowsToCsv");
+
+// GET /v1/usage?start=YYYY-MM-DD&end=YYYY-MM-DD&group_by=day,model,client&format=json|csv[&client=<id>]
+// I client non admin vedono solo il proprio uso.
+async function handleUsageEndpoint(request, env, client) {
+  const url = new URL(request.url);
+  const today = new Date().toISOString().slice(0, 10);
+  const defaultStart = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const start = url.searchParams.get("start") || defaultStart;
+  const end = url.searchParams.get("end") || today;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!datePattern.test(start) || !datePattern.test(end) || start > end) {
+    return errorResponse(400, "Parameters 'start' and 'end' must be dates in YYYY-MM-DD format with start <= end.", {
+      param: datePattern.test(start) ? "end" : "start"
+    });
+  }
+  const rangeDays = (Date.parse(end) - Date.parse(start)) / USAGE_DAY_MS + 1;
+  if (rangeDays > USAGE_MAX_RANGE_DAYS) {
+    return errorResponse(400, `The date range cannot exceed ${USAGE_MAX_RANGE_DAYS} days.`, { param: "start" });
+  }
+
+  const groupBy = (url.searchParams.get("group_by") || "day,model,client")
+    .split(",")
+    .map(field => field.trim())
+    .filter(Boolean);
+  const invalidField = groupBy.find(field => !USAGE_GROUP_FIELDS.includes(field));
+  if (invalidField) {
+    return errorResponse(400, `Unsupported group_by field '${invalidField}'. Use: ${USAGE_GROUP_FIELDS.join(", ")}.`, {
+      param: "group_by"
+    });
+  }
+
+  const format = (url.searchParams.get("format") ||
+    ((request.headers.get("Accept") || "").includes("text/csv") ? "csv" : "json")).toLowerCase();
+  if (format !== "json" && format !== "csv") {
+    return errorResponse(400, `Unsupported format '${format}'. Use json or csv.`, { param: "format" });
+  }
+
+  // Filtro client: admin (o auth disattivata) possono scegliere, gli altri solo se stessi
+  const isAdmin = !client || client.admin;
+  const clientFilter = isAdmin ? url.searchParams.get("client") : client.id;
+
+  const usageRows = await loadUsageRows(env, start, end, clientFilter);
+  const rows = aggregateUsageRows(usageRows, groupBy)
+    .sort((a, b) => groupBy.map(field => String(a[field] ?? "").localeCompare(String(b[field] ?? ""))).find(Boolean) || 0);
+  const [totals] = aggregateUsageRows(usageRows, []);
+
+  const corsHeaders = { "Access-Control-Allow-Origin": "*" };
+  if (format === "csv") {
+    const columns = [...groupBy, "requests", "errors", "cached", "prompt_tokens", "completion_tokens",
+      "total_tokens", "cost_usd", "unpriced_requests", "avg_latency_ms"];
+    return new Response(usageRowsToCsv(rows, columns), {
+      status: 200,
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="usage-${start}-${end}.csv"`,
+        ...corsHeaders
+      }
+    });
+  }
+  return new Response(JSON.stringify({
+    object: "usage.report",
+    start,
+    end,
+    group_by: groupBy,
+    currency: "USD",
+    data: rows,
+    totals
+  }), {
+    status: 200,
+    headers: { "Content-Type": "application/json", ...corsHeaders }
+  });
+}
+__name(handleUsageEndpoint, "handleUsageEndpoint");
+
+// =========================
+// TIMEOUT, RETRY E HEARTBEAT UPSTREAM
+// =========================
+// Policy di ogni chiamata upstream: default < provider < route. Override con env
+// UPSTREAM_POLICY (JSON): { "default": {...}, "providers": { "<provider>": {...} },
+//   "routes": { "/v1/chat/completions": {...} } } (le route vincono sui provider).
+//   connect_timeout_ms  attesa delle intestazioni di risposta (gli stream le ricevono subito)
+//   ttfb_timeout_ms     attesa del primo byte del corpo negli stream; per le chiamate non-stream
+//                       le intestazioni arrivano a generazione finita: limite connect + ttfb,
+//                       che copre anche la lettura del corpo
+//   max_retries         nuovi tentativi (solo non-stream) su errore di connessione e su 429 con
+//                       Retry-After: una richiesta andata in timeout o accettata dal provider
+//                       (qualsiasi altra risposta) non è ripetuta, potrebbe essere già addebitata
+//   retry_base_ms, retry_max_ms  backoff esponenziale con jitter; Retry-After del provider
+//                       ha la precedenza (oltre retry_max_ms l'errore è restituito subito)
+//   heartbeat_ms        commento SSE ": keep-alive" dopo heartbeat_ms senza output (0 = off)
+const DEFAULT_UPSTREAM_POLICY = {
+  connect_timeout_ms: 15000,
+  ttfb_timeout_ms: 300000,
+  max_retries: 2,
+  retry_base_ms: 500,
+  retry_max_ms: 8000,
+  heartbeat_ms: 15000
+};
+const DEFAULT_PROVIDER_UPSTREAM_POLICIES = {
+  groq: { ttfb_timeout_ms: 60000 }
+};
+
+function resolveUpstreamPolicy(env, providerName, route) {
+  let overrides = {};
+  try {
+    overrides = env?.UPSTREAM_POLICY ? JSON.parse(env.UPSTREAM_POLICY) : {};
+  } catch {
+    overrides = {};
+  }
+  const merged = {
+    ...DEFAULT_UPSTREAM_POLICY,
+    ...DEFAULT_PROVIDER_UPSTREAM_POLICIES[providerName],
+    ...overrides.default,
+    ...overrides.providers?.[providerName],
+    ...overrides.routes?.[route]
+  };
+  // Valori non numerici o negativi -> default
+  for (const [key, fallback] of Object.entries(DEFAULT_UPSTREAM_POLICY)) {
+    const value = Number(merged[key]);
+    merged[key] = Number.isFinite(value) && value >= 0 ? value : fallback;
+  }
+  return merged;
+}
+__name(resolveUpstreamPolicy, "resolveUpstreamPolicy");
+
+// Errore di timeout upstream (name "TimeoutError", come gli abort per timeout della piattaforma)
+function upstreamTimeoutError(phase, timeoutMs) {
+  const error = new Error(`no ${phase} within ${timeoutMs} ms`);
+  error.name = "TimeoutError";
+  return error;
+}
+__name(upstreamTimeoutError, "upstreamTimeoutError");
+
+// Retry-After (secondi o data HTTP) o retry-after-ms in millisecondi; null se assente
+function parseRetryAfterMs(headers) {
+  const ms = Number(headers?.get("retry-after-ms"));
+  if (headers?.get("retry-after-ms") && Number.isFinite(ms)) return Math.max(0, ms);
+  const value = headers?.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+__name(parseRetryAfterMs, "parseRetryAfterMs");
+
+// Attesa prima del tentativo successivo (attempt da 1); null se Retry-After supera retry_max_ms
+function upstreamRetryDelay(policy, attempt, headers) {
+  const retryAfter = parseRetryAfterMs(headers);
+  if (retryAfter !== null) return retryAfter <= policy.retry_max_ms ? retryAfter : null;
+  const ceiling = Math.min(policy.retry_max_ms, policy.retry_base_ms * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+__name(upstreamRetryDelay, "upstreamRetryDelay");
+
+// Corpo della risposta letto entro la scadenza della chiamata: un corpo fermo non resta appeso
+function guardUpstreamBody(resp, expired, timer) {
+  if (!resp.body || [101, 204, 205, 304].includes(resp.status)) {
+    clearTimeout(timer);
+    return resp;
+  }
+  const reader = resp.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await Promise.race([reader.read(), expired]);
+        if (done) {
+          clearTimeout(timer);
+          controller.close();
+          return;
+        }
+        controller.enqueue(value);
+      } catch (err) {
+        clearTimeout(timer);
+        reader.cancel(err).catch(() => {});
+        controller.error(err);
+      }
+    },
+    cancel(reason) {
+      clearTimeout(timer);
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+}
+__name(guardUpstreamBody, "guardUpstreamBody");
+
+// fetch verso il provider con i timeout della policy; le chiamate non-stream sono ritentate solo
+// su errore di connessione o 429 con Retry-After (maxRetries sovrascrive policy.max_retries).
+// init.body deve essere riutilizzabile (stringa o FormData). Timeout -> throw TimeoutError,
+// anche durante la lettura del corpo (non-stream; negli stream vale il timeout ttfb).
+async function fetchUpstream(url, init, policy, { stream = false, maxRetries = policy.max_retries } = {}) {
+  const attempts = stream ? 1 : maxRetries + 1;
+  const timeoutMs = stream ? policy.connect_timeout_ms : policy.connect_timeout_ms + policy.ttfb_timeout_ms;
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController();
+    let expire;
+    const expired = new Promise((_, reject) => { expire = reject; });
+    expired.catch(() => {});
+    const timer = setTimeout(() => {
+      expire(upstreamTimeoutError("response", timeoutMs));
+      controller.abort();
+    }, timeoutMs);
+    let resp = null;
+    try {
+      resp = await Promise.race([fetch(url, { ...init, signal: controller.signal }), expired]);
+    } catch (err) {
+      clearTimeout(timer);
+      // Timeout: la richiesta può essere arrivata al provider, mai ripetuta
+      if (controller.signal.aborted) throw upstreamTimeoutError("response", timeoutMs);
+      if (attempt >= attempts) throw err;
+      await sleep(upstreamRetryDelay(policy, attempt, null));
+      continue;
+    }
+
+    // Solo un 429 con Retry-After (entro retry_max_ms) dice che la richiesta non è stata eseguita
+    const retryAfter = resp.status === 429 ? parseRetryAfterMs(resp.headers) : null;
+    if (retryAfter === null || retryAfter > policy.retry_max_ms || attempt >= attempts) {
+      if (stream) {
+        clearTimeout(timer);
+        return resp;
+      }
+      return guardUpstreamBody(resp, expired, timer);
+    }
+    clearTimeout(timer);
+    await resp.body?.cancel();
+    await sleep(retryAfter);
+  }
+}
+__name(fetchUpstream, "fetchUpstream");
+
+// =========================
+// FALLBACK TRA PROVIDER
+// =========================
+// Catene per modello primario da env FALLBACK_CHAINS (JSON); quelle di default sotto solo
+// con env FALLBACK_DEFAULT_CHAINS="true" (opt-in: spostano il traffico su altri provider).
+// Per richiesta: header "x-fallback-models" (lista separata da virgole, "none" disattiva)
+// oppure campo body "fallback_models". Ogni candidato rispetta i limiti del suo provider.
+const DEFAULT_FALLBACK_CHAINS = {
+  "gpt-4o": ["claude-3-5-sonnet-20241022", "llama-3.3-70b-versatile"],
+  "gpt-4o-mini": ["claude-3-5-haiku-20241022", "llama-3.1-8b-instant"],
+  "gpt-4.1": ["claude-3-7-sonnet-20250219", "llama-3.3-70b-versatile"],
+  "claude-3-7-sonnet-20250219": ["gpt-4.1", "llama-3.3-70b-versatile"],
+  "claude-3-5-sonnet-20241022": ["gpt-4o", "llama-3.3-70b-versatile"],
+  "claude-3-5-haiku-20241022": ["gpt-4o-mini", "llama-3.1-8b-instant"]
+};
+const FALLBACK_BACKOFF_MS = 250;
+const FALLBACK_MAX_BACKOFF_MS = 2000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+__name(sleep, "sleep");
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+__name(isRetryableStatus, "isRetryableStatus");
+
+function fallbackBackoffDelay(attempt) {
+  return Math.min(FALLBACK_MAX_BACKOFF_MS, FALLBACK_BACKOFF_MS * 2 ** (attempt - 1));
+}
+__name(fallbackBackoffDelay, "fallbackBackoffDelay");
+
+function resolveFallbackChain(request, body, env, model) {
+  let chain = null;
+  const header = request.headers.get("x-fallback-models");
+  if (header !== null) {
+    chain = header.trim().toLowerCase() === "none"
+      ? []
+      : header.split(",").map(m => m.trim()).filter(Boolean);
+  } else if (Array.isArray(body.fallback_models)) {
+    chain = body.fallback_models.filter(m => typeof m === "string" && m);
+  } else {
+    const defaults = env.FALLBACK_DEFAULT_CHAINS === "true" ? DEFAULT_FALLBACK_CHAINS : {};
+    let table = defaults;
+    if (env.FALLBACK_CHAINS) {
+      try {
+        table = JSON.parse(env.FALLBACK_CHAINS);
+      } catch {
+        table = defaults;
+      }
+    }
+    chain = table[model] || [];
+  }
+  return [...new Set(chain)].filter(m => m !== model);
+}
+__name(resolveFallbackChain, "resolveFallbackChain");
+
+// Un fallback è utilizzabile solo se il provider è configurato e consentito al client
+function isFallbackCandidateUsable(env, client, body, providerName, model) {
+  const provider = PROVIDERS[providerName];
+  if (!provider || !env[provider.apiKeyEnv]) return false;
+  if (checkModelAccess(client, providerName, model)) return false;
+  if (requestHasImages(body) && !supportsVision(providerName, model)) return false;
+  return true;
+}
+__name(isFallbackCandidateUsable, "isFallbackCandidateUsable");
+
+// =========================
+// STRUCTURED OUTPUT (response_format json_object / json_schema)
+// =========================
+// Strategia per provider: "native" (response_format supportato), "tool" (Anthropic: tool
+// forzato con lo schema come input_schema) oppure "prompt" (istruzioni nel system).
+// Le risposte non-stream sono validate; un solo nuovo tentativo con gli errori.
+const STRUCTURED_OUTPUT_TOOL = "structured_output";
+
+function isStructuredFormat(responseFormat) {
+  return responseFormat?.type === "json_object" || responseFormat?.type === "json_schema";
+}
+__name(isStructuredFormat, "isStructuredFormat");
+
+function structuredOutputStrategy(providerName, body) {
+  const format = body.response_format;
+  if ((PROVIDERS[providerName]?.responseFormats || []).includes(format.type)) return "native";
+  const schema = format.json_schema?.schema;
+  const hasTools = Array.isArray(body.tools) && body.tools.length > 0;
+  if (providerName === "anthropic" && !hasTools && (format.type === "json_object" || schema?.type === "object")) {
+    return "tool";
+  }
+  return "prompt";
+}
+__name(structuredOutputStrategy, "structuredOutputStrategy");
+
+function structuredOutputInstruction(responseFormat) {
+  let instruction = "Respond only with a single valid JSON value, without markdown code fences or any other text.";
+  const schema = responseFormat.json_schema?.schema;
+  if (responseFormat.type === "json_schema" && schema) {
+    instruction += ` The JSON must conform to this JSON Schema:\n${JSON.stringify(schema)}`;
+  } else {
+    instruction += " The JSON value must be an object.";
+  }
+  return instruction;
+}
+__name(structuredOutputInstruction, "structuredOutputInstruction");
+
+// Adatta response_format al provider (prima delle trasformazioni specifiche)
+function applyStructuredOutputStrategy(body, providerName) {
+  if (!isStructuredFormat(body.response_format)) return body;
+  const strategy = structuredOutputStrategy(providerName, body);
+  const instruction = { role: "system", content: structuredOutputInstruction(body.response_format) };
+
+  if (strategy === "native") {
+    // json_object richiede (OpenAI, DeepSeek) che i messaggi menzionino "JSON"
+    if (body.response_format.type !== "json_object") return body;
+    return { ...body, messages: [instruction, ...(body.messages || [])] };
+  }
+  if (strategy === "tool") return body;
+
+  const { response_format, ...rest } = body;
+  return { ...rest, messages: [instruction, ...(rest.messages || [])] };
+}
+__name(applyStructuredOutputStrategy, "applyStructuredOutputStrategy");
+
+// Validatore JSON Schema essenziale (type, enum, const, properties, required,
+// additionalProperties, items, limiti numerici/lunghezze, pattern, anyOf/oneOf/allOf, $ref locali)
+function validateJsonSchema(value, schema, path = "$", root = schema) {
+  if (!schema || typeof schema !== "object" || schema === true) return [];
+  if (schema.$ref) {
+    const target = schema.$ref
+      .replace(/^#\/?/, "")
+      .split("/")
+      .filter(Boolean)
+      .reduce((node, key) => node?.[key], root);
+    return validateJsonSchema(value, target, path, root);
+  }
+
+  const errors = [];
+  const typeOf = v => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+  const matchesType = (type) => {
+    const actual = typeOf(value);
+    if (type === "integer") return Number.isInteger(value);
+    if (type === "number") return actual === "number";
+    return actual === type;
+  };
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (schema.nullable) types.push("null");
+    if (!types.some(matchesType)) {
+      return [`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property '${key}'`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(child, properties[key], `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property '${key}'`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validateJsonSchema(child, schema.additionalProperties, `${path}.${key}`, root));
+      }
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`, root)));
+    }
+    if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+      errors.push(`${path}: must contain at least ${schema.minItems} items`);
+    }
+    if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+      errors.push(`${path}: must contain at most ${schema.maxItems} items`);
+    }
+  }
+  if (typeof value === "number") {
+    if (typeof schema.minimum === "number" && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === "number" && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === "string") {
+    if (typeof schema.minLength === "number" && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (typeof schema.maxLength === "number" && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match pattern ${schema.pattern}`);
+      } catch {
+        // pattern non supportato dal motore JS: ignorato
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) errors.push(...validateJsonSchema(value, sub, path, root));
+  if (schema.anyOf && !schema.anyOf.some(sub => !validateJsonSchema(value, sub, path, root).length)) {
+    errors.push(`${path}: does not match any allowed schema (anyOf)`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(sub => !validateJsonSchema(value, sub, path, root).length).length !== 1) {
+    errors.push(`${path}: must match exactly one schema (oneOf)`);
+  }
+  return errors;
+}
+__name(validateJsonSchema, "validateJsonSchema");
+
+// Verifica il contenuto rispetto a response_format -> { valid, content, errors }
+function checkStructuredOutput(content, responseFormat) {
+  // Tollera i blocchi ```json ... ``` prodotti spesso con la strategia "prompt"
+  const text = String(content ?? "").trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, "$1");
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    return { valid: false, content: text, errors: [`Response is not valid JSON: ${err.message}`] };
+  }
+  let errors = [];
+  if (responseFormat.type === "json_object") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) errors = ["$: expected a JSON object"];
+  } else if (responseFormat.json_schema?.schema) {
+    errors = validateJsonSchema(value, responseFormat.json_schema.schema);
+  }
+  return { valid: errors.length === 0, content: text, errors };
+}
+__name(checkStructuredOutput, "checkStructuredOutput");
+
+// Valida una risposta Chat non-stream; se non valida, un nuovo tentativo tramite retry(chatBody)
+async function enforceStructuredOutput(chatBody, responseData, retry) {
+  const message = responseData?.choices?.[0]?.message;
+  if (!message || message.tool_calls) return { responseData };
+
+  let check = checkStructuredOutput(message.content, chatBody.response_format);
+  if (!check.valid) {
+    const retryBody = {
+      ...chatBody,
+      messages: [
+        ...(chatBody.messages || []),
+        { role: "assistant", content: contentToText(message.content) },
+        {
+          role: "user",
+          content: "Your previous reply did not satisfy the required JSON format:\n- " +
+            check.errors.slice(0, 20).join("\n- ") +
+            "\nReply again with only the corrected JSON."
+        }
+      ]
+    };
+    const retried = await retry(retryBody);
+    const retriedMessage = retried?.choices?.[0]?.message;
+    if (retriedMessage) {
+      responseData = retried;
+      check = checkStructuredOutput(retriedMessage.content, chatBody.response_format);
+    }
+  }
+  if (!check.valid) {
+    return {
+      error: errorResponse(502, "The model did not return output matching response_format after a retry.", {
+        type: "invalid_response_error",
+        code: "structured_output_invalid",
+        param: "response_format",
+        details: { validation_errors: check.errors.slice(0, 50) }
+      })
+    };
+  }
+  responseData.choices[0].message.content = check.content;
+  return { responseData };
+}
+__name(enforceStructuredOutput, "enforceStructuredOutput");
+
+// =========================
+// REASONING (parametro unificato)
+// =========================
+// Opzione di richiesta "reasoning" (Chat e Responses): "high" oppure
+//   { effort: "none" | "minimal" | "low" | "medium" | "high", budget_tokens?: n }
+// (reasoning_effort OpenAI è accettato come sinonimo). Ogni famiglia di modelli la riceve
+// nel parametro nativo e perde i parametri di sampling che rifiuterebbe. Il ragionamento
+// restituito è sempre message.reasoning_content (delta.reasoning_content negli stream).
+const REASONING_EFFORTS = ["none", "minimal", "low", "medium", "high"];
+const REASONING_BUDGET_TOKENS = { none: 0, minimal: 1024, low: 2048, medium: 8192, high: 16384 };
+
+// Famiglia per provider: prima voce corrispondente vince (pattern come modelMatchesPattern)
+const REASONING_MODELS = {
+  openai: [
+    { match: "gpt-5-chat*", family: null },
+    { match: "gpt-5*", family: "openai" },
+    { match: "o1*", family: "openai" },
+    { match: "o3*", family: "openai" },
+    { match: "o4*", family: "openai" }
+  ],
+  anthropic: [
+    { match: "claude-opus-4*", family: "anthropic" },
+    { match: "claude-sonnet-4*", family: "anthropic" },
+    { match: "claude-3-7-sonnet*", family: "anthropic" }
+  ],
+  groq: [
+    { match: "openai/gpt-oss-*", family: "groq-gpt-oss" },
+    { match: "qwen/qwen3-*", family: "groq-qwen" },
+    { match: "deepseek-r1-distill-*", family: "groq-parsed" }
+  ],
+  xai: [
+    { match: "grok-3-mini*", family: "xai-effort" },
+    // Alias senza variante: la variante reasoning/non-reasoning dipende dall'opzione
+    { match: "grok-4-fast", family: "xai-variant" },
+    { match: "grok-4-fast-non-reasoning*", family: null },
+    { match: "grok-4*", family: "xai" },
+    { match: "grok-code-fast*", family: "xai" }
+  ],
+  gemini: [
+    { match: "gemini-2.5-pro*", family: "gemini-pro" },
+    { match: "gemini-2.5*", family: "gemini" }
+  ],
+  deepseek: [{ match: "deepseek-reasoner", family: "deepseek" }],
+  mistral: [{ match: "magistral-*", family: "mistral" }],
+  perplexity: [
+    { match: "sonar-reasoning*", family: "perplexity" },
+    { match: "sonar-deep-research", family: "perplexity" }
+  ]
+};
+
+// Parametri rifiutati (o ignorati con errore) dai modelli di reasoning, per famiglia
+const REASONING_UNSUPPORTED_PARAMS = {
+  openai: ["temperature", "top_p", "presence_penalty", "frequency_penalty", "logprobs", "top_logprobs", "logit_bias"],
+  xai: ["presence_penalty", "frequency_penalty", "stop", "reasoning_effort"],
+  deepseek: ["temperature", "top_p", "presence_penalty", "frequency_penalty", "logprobs", "top_logprobs"]
+};
+
+function reasoningFamily(providerName, model) {
+  const entry = (REASONING_MODELS[providerName] || []).find(candidate => modelMatchesPattern(model, candidate.match));
+  return entry?.family || null;
+}
+__name(reasoningFamily, "reasoningFamily");
+
+// { effort, budgetTokens } dall'opzione della richiesta, null se assente
+function resolveReasoningOption(body) {
+  const option = body.reasoning ?? body.reasoning_effort;
+  if (option === undefined || option === null) return null;
+  const effort = String((typeof option === "object" ? option.effort : option) ?? "medium").toLowerCase();
+  const budget = typeof option === "object" ? option.budget_tokens : undefined;
+  return {
+    effort: REASONING_EFFORTS.includes(effort) ? effort : "medium",
+    budgetTokens: Number.isInteger(budget) && budget > 0 ? budget : REASONING_BUDGET_TOKENS[effort] ?? REASONING_BUDGET_TOKENS.medium
+  };
+}
+__name(resolveReasoningOption, "resolveReasoningOption");
+
+// 400 se l'opzione reasoning non è valida, altrimenti null
+function reasoningOptionError(body) {
+  const option = body.reasoning ?? body.reasoning_effort;
+  if (option === undefined || option === null) return null;
+  const effort = typeof option === "object" ? option.effort : option;
+  const budget = typeof option === "object" ? option.budget_tokens : undefined;
+  if (effort !== undefined && !REASONING_EFFORTS.includes(String(effort).toLowerCase())) {
+    return errorResponse(400, `Invalid reasoning effort '${effort}'. Expected one of: ${REASONING_EFFORTS.join(", ")}.`, {
+      code: "invalid_reasoning", param: "reasoning"
+    });
+  }
+  if (budget !== undefined && !(Number.isInteger(budget) && budget > 0)) {
+    return errorResponse(400, "reasoning.budget_tokens must be a positive integer.", {
+      code: "invalid_reasoning", param: "reasoning.budget_tokens"
+    });
+  }
+  return null;
+}
+__name(reasoningOptionError, "reasoningOptionError");
+
+// reasoning_effort OpenAI (Chat e Responses): "none" -> minimo supportato dal modello
+function openaiReasoningEffort(model, effort) {
+  const isGpt5 = String(model).toLowerCase().startsWith("gpt-5");
+  if (effort === "none" || effort === "minimal") return isGpt5 ? "minimal" : "low";
+  return effort;
+}
+__name(openaiReasoningEffort, "openaiReasoningEffort");
+
+function omitReasoningUnsupportedParams(payload, family) {
+  for (const key of REASONING_UNSUPPORTED_PARAMS[family] || []) delete payload[key];
+  return payload;
+}
+__name(omitReasoningUnsupportedParams, "omitReasoningUnsupportedParams");
+
+// Applica l'opzione reasoning al corpo upstream già trasformato per il provider
+function applyReasoningParameters(payload, body, providerName, model) {
+  const option = resolveReasoningOption(body);
+  delete payload.reasoning;
+  delete payload.reasoning_effort;
+  let family = reasoningFamily(providerName, model);
+
+  if (family === "xai-variant") {
+    if (option) payload.model = option.effort === "none" ? "grok-4-fast-non-reasoning" : "grok-4-fast-reasoning";
+    family = option?.effort === "none" ? null : "xai";
+  }
+  omitReasoningUnsupportedParams(payload, family);
+  if (!option) return payload;
+
+  switch (family) {
+    case "openai":
+      payload.reasoning_effort = openaiReasoningEffort(model, option.effort);
+      break;
+    case "anthropic": {
+      // Thinking incompatibile con tool_choice forzato (es. structured output) e, senza i blocchi
+      // thinking originali, con la continuazione di un turno tool_use
+      const forcedTool = payload.tool_choice && !["auto", "none"].includes(payload.tool_choice.type);
+      const lastContent = payload.messages?.[payload.messages.length - 1]?.content;
+      const toolTurn = Array.isArray(lastContent) && lastContent.some(block => block.type === "tool_result");
+      if (option.effort === "none" || forcedTool || toolTurn) break;
+      const budget = Math.max(1024, option.budgetTokens);
+      payload.thinking = { type: "enabled", budget_tokens: budget };
+      // max_tokens comprende il budget di thinking: la risposta mantiene il limite richiesto
+      if (payload.max_tokens <= budget) payload.max_tokens += budget;
+      break;
+    }
+    case "gemini":
+    case "gemini-pro": {
+      // 2.5 Pro non può disattivare il thinking (budget minimo 128)
+      const isPro = family === "gemini-pro";
+      const budget = option.effort === "none"
+        ? (isPro ? 128 : 0)
+        : Math.min(Math.max(option.budgetTokens, isPro ? 128 : 0), isPro ? 32768 : 24576);
+      payload.generationConfig = {
+        ...(payload.generationConfig || {}),
+        thinkingConfig: { thinkingBudget: budget, includeThoughts: option.effort !== "none" }
+      };
+      break;
+    }
+    case "groq-gpt-oss":
+      payload.reasoning_effort = ["none", "minimal"].includes(option.effort) ? "low" : option.effort;
+      payload.include_reasoning = option.effort !== "none";
+      break;
+    case "groq-qwen":
+      payload.reasoning_effort = option.effort === "none" ? "none" : "default";
+      break;
+    case "xai-effort":
+      payload.reasoning_effort = ["medium", "high"].includes(option.effort) ? "high" : "low";
+      break;
+    default:
+      break;
+  }
+  // Groq: ragionamento separato in message.reasoning ("hidden" se disattivato)
+  if ((family === "groq-qwen" || family === "groq-parsed") && !payload.reasoning_format) {
+    payload.reasoning_format = option.effort === "none" ? "hidden" : "parsed";
+  }
+  return payload;
+}
+__name(applyReasoningParameters, "applyReasoningParameters");
+
+// Content Mistral (magistral) con blocchi "thinking" -> { text, reasoning }
+function splitThinkingContent(content) {
+  let text = "";
+  let reasoning = "";
+  for (const part of content) {
+    if (part?.type === "thinking") {
+      const thinking = Array.isArray(part.thinking) ? part.thinking : [part.thinking];
+      reasoning += thinking.map(item => (typeof item === "string" ? item : item?.text || "")).join("");
+    } else if (typeof part === "string") {
+      text += part;
+    } else if (part?.type === "text") {
+      text += part.text || "";
+    }
+  }
+  return { text, reasoning };
+}
+__name(splitThinkingContent, "splitThinkingContent");
+
+// Messaggio Chat di provider OpenAI-compatibili -> reasoning_content uniforme:
+// Groq (message.reasoning), Mistral (blocchi thinking), <think>...</think> (Perplexity, Groq raw)
+function normalizeReasoningMessage(message) {
+  if (!message || typeof message !== "object") return message;
+  if (typeof message.reasoning === "string") {
+    if (!message.reasoning_content) message.reasoning_content = message.reasoning;
+    delete message.reasoning;
+  }
+  if (Array.isArray(message.content) && message.content.some(part => part?.type === "thinking")) {
+    const { text, reasoning } = splitThinkingContent(message.content);
+    message.content = text;
+    if (reasoning) message.reasoning_content = reasoning;
+  }
+  if (typeof message.content === "string") {
+    const match = message.content.match(/^\s*<think>([\s\S]*?)<\/think>\s*/);
+    if (match) {
+      message.reasoning_content = match[1].trim();
+      message.content = message.content.slice(match[0].length);
+    }
+  }
+  return message;
+}
+__name(normalizeReasoningMessage, "normalizeReasoningMessage");
+
+// Stesso adattamento sui delta di uno stream; i tag <think> possono arrivare spezzati
+// tra più chunk, quindi l'eventuale prefisso parziale resta in attesa del chunk successivo
+function createReasoningStreamNormalizer() {
+  const OPEN = "<think>";
+  const CLOSE = "</think>";
+  // indice choice -> { mode: "start" | "think" | "text", pending }
+  const states = new Map();
+
+  const partialSuffix = (text, tag) => {
+    for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+      if (tag.startsWith(text.slice(-length))) return length;
+    }
+    return 0;
+  };
+
+  function splitContent(state, text) {
+    let content = "";
+    let reasoning = "";
+    state.pending += text;
+    while (state.pending) {
+      if (state.mode === "start") {
+        const trimmed = state.pending.trimStart();
+        if (trimmed.startsWith(OPEN)) {
+          state.mode = "think";
+          state.pending = trimmed.slice(OPEN.length);
+        } else if (OPEN.startsWith(trimmed)) {
+          break;
+        } else {
+          state.mode = "text";
+        }
+      } else if (state.mode === "think") {
+        const end = state.pending.indexOf(CLOSE);
+        if (end === -1) {
+          const keep = partialSuffix(state.pending, CLOSE);
+          reasoning += state.pending.slice(0, state.pending.length - keep);
+          state.pending = state.pending.slice(state.pending.length - keep);
+          break;
+        }
+        reasoning += state.pending.slice(0, end);
+        state.pending = state.pending.slice(end + CLOSE.length).replace(/^\s+/, "");
+        state.mode = "text";
+      } else {
+        content += state.pending;
+        state.pending = "";
+      }
+    }
+    return { content, reasoning };
+  }
+
+  function normalize(payload) {
+    for (const choice of payload?.choices || []) {
+      const delta = choice.delta;
+      if (!delta) continue;
+      if (typeof delta.reasoning === "string") {
+        delta.reasoning_content = (delta.reasoning_content || "") + delta.reasoning;
+        delete delta.reasoning;
+      }
+      if (Array.isArray(delta.content)) {
+        const { text, reasoning } = splitThinkingContent(delta.content);
+        delta.content = text;
+        if (reasoning) delta.reasoning_content = (delta.reasoning_content || "") + reasoning;
+      }
+      const index = choice.index ?? 0;
+      if (!states.has(index)) states.set(index, { mode: "start", pending: "" });
+      const state = states.get(index);
+      if (typeof delta.content === "string" && (delta.content || state.pending)) {
+        const { content, reasoning } = splitContent(state, delta.content);
+        delta.content = content;
+        if (reasoning) delta.reasoning_content = (delta.reasoning_content || "") + reasoning;
+      }
+      // Fine della choice: il testo trattenuto non può più essere un tag
+      if (choice.finish_reason && state.pending) {
+        const rest = state.pending;
+        state.pending = "";
+        if (state.mode === "think") delta.reasoning_content = (delta.reasoning_content || "") + rest;
+        else delta.content = (delta.content || "") + rest;
+      }
+    }
+    return payload;
+  }
+
+  return { normalize };
+}
+__name(createReasoningStreamNormalizer, "createReasoningStreamNormalizer");
+
+// =========================
+// TRASFORMAZIONI
+// =========================
+// Estrae il testo da un content OpenAI (stringa o array di parti)
+function contentToText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === "string" ? part : part?.text || ""))
+      .join("");
+  }
+  return content == null ? "" : JSON.stringify(content);
+}
+__name(contentToText, "contentToText");
+
+// URL immagine di una parte OpenAI ({image_url: "..."} oppure {image_url: {url, detail}})
+function imagePartUrl(part) {
+  return typeof part.image_url === "string" ? part.image_url : part.image_url?.url || "";
+}
+__name(imagePartUrl, "imagePartUrl");
+
+// Parte immagine OpenAI -> blocco image Anthropic (data: URL -> base64, altrimenti url)
+function toAnthropicImageBlock(part) {
+  const url = imagePartUrl(part);
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+  if (match) {
+    return { type: "image", source: { type: "base64", media_type: match[1], data: match[2] } };
+  }
+  return { type: "image", source: { type: "url", url } };
+}
+__name(toAnthropicImageBlock, "toAnthropicImageBlock");
+
+// content OpenAI (stringa o parti text/image_url) -> content Anthropic
+function toAnthropicContent(content) {
+  if (!Array.isArray(content)) return content;
+  return content.map(part => {
+    if (typeof part === "string") return { type: "text", text: part };
+    if (part?.type === "image_url") return toAnthropicImageBlock(part);
+    if (part?.type === "text") return { type: "text", text: part.text || "" };
+    return part;
+  });
+}
+__name(toAnthropicContent, "toAnthropicContent");
+
+// content Chat -> parti Responses API (input_text / input_image)
+function toResponsesContentParts(content) {
+  if (!Array.isArray(content)) return [{ type: "input_text", text: contentToText(content) }];
+  return content.map(part => {
+    if (typeof part === "string") return { type: "input_text", text: part };
+    if (part?.type === "image_url") {
+      const detail = typeof part.image_url === "object" ? part.image_url.detail : undefined;
+      return { type: "input_image", image_url: imagePartUrl(part), ...(detail ? { detail } : {}) };
+    }
+    if (part?.type === "text") return { type: "input_text", text: part.text || "" };
+    return part;
+  });
+}
+__name(toResponsesContentParts, "toResponsesContentParts");
+
+// parti Responses API -> content Chat (text / image_url)
+function fromResponsesContentParts(content) {
+  if (!Array.isArray(content)) return content;
+  return content.map(part => {
+    if (part?.type === "input_text" || part?.type === "output_text") {
+      return { type: "text", text: part.text || "" };
+    }
+    if (part?.type === "input_image") {
+      return { type: "image_url", image_url: { url: part.image_url, ...(part.detail ? { detail: part.detail } : {}) } };
+    }
+    return part;
+  });
+}
+__name(fromResponsesContentParts, "fromResponsesContentParts");
+
+// Parsing tollerante degli arguments JSON di una tool call
+function parseToolArguments(args) {
+  if (args && typeof args === "object") return args;
+  try {
+    return JSON.parse(args || "{}");
+  } catch {
+    return {};
+  }
+}
+__name(parseToolArguments, "parseToolArguments");
+
+// tools OpenAI (Chat: {type, function:{...}} – Responses: {type, name, ...}) -> tools Anthropic
+function transformToolsForAnthropic(tools) {
+  return tools
+    .filter(tool => tool && (tool.type === "function" || !tool.type))
+    .map(tool => {
+      const fn = tool.function || tool;
+      return {
+        name: fn.name,
+        ...(fn.description ? { description: fn.description } : {}),
+        input_schema: fn.parameters || { type: "object", properties: {} }
+      };
+    });
+}
+__name(transformToolsForAnthropic, "transformToolsForAnthropic");
+
+// tools formato Responses ({type, name, parameters}) -> formato Chat ({type, function:{...}})
+function normalizeChatTools(tools) {
+  return tools.map(tool => {
+    if (!tool || tool.function || tool.type !== "function") return tool;
+    const { type, name, description, parameters, strict } = tool;
+    return { type, function: { name, description, parameters, ...(strict !== undefined ? { strict } : {}) } };
+  });
+}
+__name(normalizeChatTools, "normalizeChatTools");
+
+// tool_choice OpenAI -> tool_choice Anthropic
+function transformToolChoiceForAnthropic(toolChoice, parallelToolCalls) {
+  let choice = null;
+  if (toolChoice === "auto") choice = { type: "auto" };
+  else if (toolChoice === "required") choice = { type: "any" };
+  else if (toolChoice === "none") choice = { type: "none" };
+  else if (toolChoice && typeof toolChoice === "object") {
+    const name = toolChoice.function?.name || toolChoice.name;
+    if (name) choice = { type: "tool", name };
+  }
+  if (parallelToolCalls === false) {
+    choice = { ...(choice || { type: "auto" }), disable_parallel_tool_use: true };
+  }
+  return choice;
+}
+__name(transformToolChoiceForAnthropic, "transformToolChoiceForAnthropic");
+
+// messages OpenAI -> messages Anthropic (tool_calls -> tool_use, role "tool" -> tool_result)
+function transformMessagesForAnthropic(messages) {
+  const result = [];
+  for (const message of messages) {
+    if (message.role === "tool") {
+      const block = {
+        type: "tool_result",
+        tool_use_id: message.tool_call_id,
+        content: contentToText(message.content)
+      };
+      // Anthropic vuole tutti i tool_result nello stesso messaggio user successivo
+      const previous = result[result.length - 1];
+      if (previous?.role === "user" && Array.isArray(previous.content) &&
+          previous.content.every(b => b.type === "tool_result")) {
+        previous.content.push(block);
+      } else {
+        result.push({ role: "user", content: [block] });
+      }
+      continue;
+    }
+
+    if (message.role === "assistant" && Array.isArray(message.tool_calls) && message.tool_calls.length) {
+      const blocks = [];
+      const text = contentToText(message.content);
+      if (text) blocks.push({ type: "text", text });
+      for (const call of message.tool_calls) {
+        blocks.push({
+          type: "tool_use",
+          id: call.id,
+          name: call.function?.name,
+          input: parseToolArguments(call.function?.arguments)
+        });
+      }
+      result.push({ role: "assistant", content: blocks });
+      continue;
+    }
+
+    result.push({ role: message.role, content: toAnthropicContent(message.content) });
+  }
+  return result;
+}
+__name(transformMessagesForAnthropic, "transformMessagesForAnthropic");
+
+function transformForAnthropic(body) {
+  const messages = body.messages || [];
+  const systemText = messages
+    .filter(m => m.role === "system")
+    .map(m => contentToText(m.content))
+    .join("\n\n");
+  const payload = {
+    model: body.model,
+    max_tokens: body.max_tokens || 1024,
+    messages: transformMessagesForAnthropic(messages.filter(m => m.role !== "system")),
+    stream: !!body.stream,
+    ...(systemText ? { system: systemText } : {})
+  };
+  if (Array.isArray(body.tools) && body.tools.length) {
+    payload.tools = transformToolsForAnthropic(body.tools);
+  }
+  const toolChoice = transformToolChoiceForAnthropic(body.tool_choice, body.parallel_tool_calls);
+  if (toolChoice && payload.tools) payload.tool_choice = toolChoice;
+
+  // Structured output: tool forzato il cui input è la risposta JSON
+  if (isStructuredFormat(body.response_format) && !payload.tools) {
+    const format = body.response_format;
+    payload.tools = [{
+      name: STRUCTURED_OUTPUT_TOOL,
+      description: format.json_schema?.description || "Return the final answer as JSON.",
+      input_schema: format.json_schema?.schema || { type: "object" }
+    }];
+    payload.tool_choice = { type: "tool", name: STRUCTURED_OUTPUT_TOOL };
+  }
+  return payload;
+}
+__name(transformForAnthropic, "transformForAnthropic");
+
+// stop_reason Anthropic -> finish_reason OpenAI
+function mapAnthropicStopReason(stopReason) {
+  switch (stopReason) {
+    case "end_turn":
+    case "stop_sequence":
+      return "stop";
+    case "max_tokens":
+      return "length";
+    case "tool_use":
+      return "tool_calls";
+    case "refusal":
+      return "content_filter";
+    default:
+      return "stop";
+  }
+}
+__name(mapAnthropicStopReason, "mapAnthropicStopReason");
+
+function transformAnthropicResponse(anthropicResponse) {
+  const blocks = Array.isArray(anthropicResponse?.content) ? anthropicResponse.content : [];
+  let text = blocks
+    .filter(b => b.type === "text")
+    .map(b => b.text || "")
+    .join("");
+  // Input del tool di structured output = contenuto JSON della risposta
+  const structured = blocks.find(b => b.type === "tool_use" && b.name === STRUCTURED_OUTPUT_TOOL);
+  if (structured) {
+    text = JSON.stringify(structured.input ?? {});
+  }
+  const toolCalls = blocks
+    .filter(b => b.type === "tool_use" && b.name !== STRUCTURED_OUTPUT_TOOL)
+    .map(b => ({
+      id: b.id,
+      type: "function",
+      function: { name: b.name, arguments: JSON.stringify(b.input || {}) }
+    }));
+
+  const reasoning = blocks
+    .filter(b => b.type === "thinking")
+    .map(b => b.thinking || "")
+    .join("");
+
+  const message = { role: "assistant", content: text || (toolCalls.length ? null : "") };
+  if (reasoning) message.reasoning_content = reasoning;
+  if (toolCalls.length) message.tool_calls = toolCalls;
+
+  return {
+    id: anthropicResponse.id || ("chatcmpl-" + Date.now()),
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model: anthropicResponse.model,
+    choices: [
+      {
+        index: 0,
+        message,
+        finish_reason: structured && !toolCalls.length
+          ? "stop"
+          : mapAnthropicStopReason(anthropicResponse.stop_reason)
+      }
+    ],
+    usage: {
+      prompt_tokens: anthropicResponse?.usage?.input_tokens || 0,
+      completion_tokens: anthropicResponse?.usage?.output_tokens || 0,
+      total_tokens:
+        (anthropicResponse?.usage?.input_tokens || 0) +
+        (anthropicResponse?.usage?.output_tokens || 0)
+    }
+  };
+}
+__name(transformAnthropicResponse, "transformAnthropicResponse");
+
+// Schema JSON -> sottoinsieme OpenAPI accettato da Gemini per functionDeclarations
+const GEMINI_UNSUPPORTED_SCHEMA_KEYS = ["$schema", "$id", "$defs", "definitions", "additionalProperties", "strict"];
+
+function sanitizeSchemaForGemini(schema) {
+  if (Array.isArray(schema)) return schema.map(sanitizeSchemaForGemini);
+  if (!schema || typeof schema !== "object") return schema;
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (GEMINI_UNSUPPORTED_SCHEMA_KEYS.includes(key)) continue;
+    result[key] = sanitizeSchemaForGemini(value);
+  }
+  return result;
+}
+__name(sanitizeSchemaForGemini, "sanitizeSchemaForGemini");
+
+// Mime type presunto dall'estensione (Gemini lo richiede anche per fileData)
+function guessImageMimeType(url) {
+  const ext = (/\.([a-z0-9]+)(?:[?#]|$)/i.exec(url)?.[1] || "").toLowerCase();
+  return { png: "image/png", gif: "image/gif", webp: "image/webp", heic: "image/heic", heif: "image/heif" }[ext] || "image/jpeg";
+}
+__name(guessImageMimeType, "guessImageMimeType");
+
+// content OpenAI -> parts Gemini (text, inlineData, fileData)
+function toGeminiParts(content) {
+  if (!Array.isArray(content)) {
+    const text = contentToText(content);
+    return text ? [{ text }] : [];
+  }
+  return content.map(part => {
+    if (typeof part === "string") return { text: part };
+    if (part?.type === "image_url") {
+      const url = imagePartUrl(part);
+      const match = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+      if (match) return { inlineData: { mimeType: match[1], data: match[2] } };
+      return { fileData: { mimeType: guessImageMimeType(url), fileUri: url } };
+    }
+    return { text: part?.text || "" };
+  });
+}
+__name(toGeminiParts, "toGeminiParts");
+
+// Chat Completions -> generateContent Gemini
+function transformForGemini(body) {
+  const messages = body.messages || [];
+  const systemText = messages
+    .filter(m => m.role === "system")
+    .map(m => contentToText(m.content))
+    .join("\n\n");
+
+  // functionResponse richiede il nome della funzione: lo ricaviamo dall'id della tool call
+  const toolNamesById = new Map();
+  const contents = [];
+  for (const message of messages) {
+    if (message.role === "system") continue;
+
+    if (message.role === "tool") {
+      const text = contentToText(message.content);
+      const parsed = parseToolArguments(text);
+      const part = {
+        functionResponse: {
+          name: toolNamesById.get(message.tool_call_id) || message.name || "tool",
+          response: parsed && Object.keys(parsed).length ? parsed : { content: text }
+        }
+      };
+      const previous = contents[contents.length - 1];
+      if (previous?.role === "user" && previous.parts.every(p => p.functionResponse)) {
+        previous.parts.push(part);
+      } else {
+        contents.push({ role: "user", parts: [part] });
+      }
+      continue;
+    }
+
+    const parts = toGeminiParts(message.content);
+    if (message.role === "assistant" && Array.isArray(message.tool_calls)) {
+      for (const call of message.tool_calls) {
+        toolNamesById.set(call.id, call.function?.name);
+        parts.push({
+          functionCall: { name: call.function?.name, args: parseToolArguments(call.function?.arguments) }
+        });
+      }
+    }
+    if (!parts.length) continue;
+    contents.push({ role: message.role === "assistant" ? "model" : "user", parts });
+  }
+
+  const payload = { contents };
+  if (systemText) payload.systemInstruction = { parts: [{ text: systemText }] };
+
+  const generationConfig = {};
+  if (typeof body.temperature === "number") generationConfig.temperature = body.temperature;
+  if (typeof body.top_p === "number") generationConfig.topP = body.top_p;
+  const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+  if (typeof maxTokens === "number") generationConfig.maxOutputTokens = maxTokens;
+  if (body.stop) generationConfig.stopSequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+  if (isStructuredFormat(body.response_format)) {
+    generationConfig.responseMimeType = "application/json";
+    const schema = body.response_format.json_schema?.schema;
+    if (body.response_format.type === "json_schema" && schema) {
+      generationConfig.responseSchema = sanitizeSchemaForGemini(schema);
+    }
+  }
+  if (Object.keys(generationConfig).length) payload.generationConfig = generationConfig;
+
+  if (Array.isArray(body.tools) && body.tools.length) {
+    const declarations = normalizeChatTools(body.tools)
+      .filter(tool => tool?.type === "function" && tool.function)
+      .map(tool => ({
+        name: tool.function.name,
+        ...(tool.function.description ? { description: tool.function.description } : {}),
+        ...(tool.function.parameters ? { parameters: sanitizeSchemaForGemini(tool.function.parameters) } : {})
+      }));
+    if (declarations.length) payload.tools = [{ functionDeclarations: declarations }];
+
+    const toolChoice = body.tool_choice;
+    let functionCallingConfig = null;
+    if (toolChoice === "auto") functionCallingConfig = { mode: "AUTO" };
+    else if (toolChoice === "required") functionCallingConfig = { mode: "ANY" };
+    else if (toolChoice === "none") functionCallingConfig = { mode: "NONE" };
+    else if (toolChoice && typeof toolChoice === "object") {
+      const name = toolChoice.function?.name || toolChoice.name;
+      if (name) functionCallingConfig = { mode: "ANY", allowedFunctionNames: [name] };
+    }
+    if (functionCallingConfig) payload.toolConfig = { functionCallingConfig };
+  }
+
+  return payload;
+}
+__name(transformForGemini, "transformForGemini");
+
+// finishReason Gemini -> finish_reason OpenAI
+function mapGeminiFinishReason(finishReason, hasToolCalls) {
+  if (hasToolCalls) return "tool_calls";
+  switch (finishReason) {
+    case "MAX_TOKENS":
+      return "length";
+    case "SAFETY":
+    case "RECITATION":
+    case "BLOCKLIST":
+    case "PROHIBITED_CONTENT":
+    case "SPII":
+    case "IMAGE_SAFETY":
+      return "content_filter";
+    default:
+      return "stop";
+  }
+}
+__name(mapGeminiFinishReason, "mapGeminiFinishReason");
+
+// usageMetadata Gemini -> usage OpenAI (i token di "thinking" contano come completion)
+function transformGeminiUsage(usageMetadata) {
+  const prompt = usageMetadata?.promptTokenCount || 0;
+  const completion = (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0);
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: usageMetadata?.totalTokenCount || prompt + completion
+  };
+}
+__name(transformGeminiUsage, "transformGeminiUsage");
+
+function transformGeminiResponse(geminiResponse, model) {
+  const candidate = geminiResponse?.candidates?.[0] || {};
+  const parts = candidate.content?.parts || [];
+  const text = parts
+    .filter(p => typeof p.text === "string" && !p.thought)
+    .map(p => p.text)
+    .join("");
+  const toolCalls = parts
+    .filter(p => p.functionCall)
+    .map((p, index) => ({
+      id: p.functionCall.id || `call_${Date.now()}_${index}`,
+      type: "function",
+      function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) }
+    }));
+
+  const reasoning = parts
+    .filter(p => typeof p.text === "string" && p.thought)
+    .map(p => p.text)
+    .join("");
+
+  const message = { role: "assistant", content: text || (toolCalls.length ? null : "") };
+  if (reasoning) message.reasoning_content = reasoning;
+  if (toolCalls.length) message.tool_calls = toolCalls;
+
+  return {
+    id: geminiResponse.responseId || ("chatcmpl-" + Date.now()),
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model: geminiResponse.modelVersion || model,
+    choices: [
+      {
+        index: 0,
+        message,
+        finish_reason: mapGeminiFinishReason(candidate.finishReason, toolCalls.length > 0)
+      }
+    ],
+    usage: transformGeminiUsage(geminiResponse.usageMetadata)
+  };
+}
+__name(transformGeminiResponse, "transformGeminiResponse");
+
+// usage Responses API (input/output_tokens) -> usage Chat (prompt/completion_tokens)
+function transformResponsesUsage(usage) {
+  const prompt = usage?.input_tokens ?? usage?.prompt_tokens ?? 0;
+  const completion = usage?.output_tokens ?? usage?.completion_tokens ?? 0;
+  const result = {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: usage?.total_tokens ?? prompt + completion
+  };
+  if (usage?.input_tokens_details?.cached_tokens !== undefined) {
+    result.prompt_tokens_details = { cached_tokens: usage.input_tokens_details.cached_tokens };
+  }
+  if (usage?.output_tokens_details?.reasoning_tokens !== undefined) {
+    result.completion_tokens_details = { reasoning_tokens: usage.output_tokens_details.reasoning_tokens };
+  }
+  return result;
+}
+__name(transformResponsesUsage, "transformResponsesUsage");
+
+// response_format Chat <-> text.format Responses API
+function toResponsesTextFormat(responseFormat) {
+  if (responseFormat?.type === "json_schema") {
+    return { type: "json_schema", ...(responseFormat.json_schema || {}) };
+  }
+  return responseFormat;
+}
+__name(toResponsesTextFormat, "toResponsesTextFormat");
+
+function fromResponsesTextFormat(format) {
+  if (format?.type === "json_schema") {
+    const { type, ...jsonSchema } = format;
+    return { type, json_schema: jsonSchema };
+  }
+  return format;
+}
+__name(fromResponsesTextFormat, "fromResponsesTextFormat");
+
+// tools Chat ({type, function:{...}}) -> tools Responses ({type, name, ...}); gli altri tipi restano invariati
+function toResponsesTools(tools) {
+  return tools.map(tool => {
+    if (tool?.type !== "function" || !tool.function) return tool;
+    return { type: "function", ...tool.function };
+  });
+}
+__name(toResponsesTools, "toResponsesTools");
+
+function toResponsesToolChoice(toolChoice) {
+  if (toolChoice && typeof toolChoice === "object" && toolChoice.function?.name) {
+    return { type: "function", name: toolChoice.function.name };
+  }
+  return toolChoice;
+}
+__name(toResponsesToolChoice, "toResponsesToolChoice");
+
+function fromResponsesToolChoice(toolChoice) {
+  if (toolChoice && typeof toolChoice === "object" && toolChoice.type === "function" && toolChoice.name) {
+    return { type: "function", function: { name: toolChoice.name } };
+  }
+  return toolChoice;
+}
+__name(fromResponsesToolChoice, "fromResponsesToolChoice");
+
+// Responses API -> Chat (non-stream): output[] con message/output_text, reasoning e function_call
+function transformResponsesApiToChat(responsesApiResponse) {
+  const output = Array.isArray(responsesApiResponse?.output) ? responsesApiResponse.output : [];
+  let text = "";
+  let refusal = null;
+  const reasoning = [];
+  const toolCalls = [];
+  for (const item of output) {
+    if (item.type === "message") {
+      for (const part of item.content || []) {
+        if (part.type === "output_text") text += part.text || "";
+        else if (part.type === "refusal") refusal = part.refusal;
+      }
+    } else if (item.type === "reasoning") {
+      for (const summary of item.summary || []) {
+        if (summary.text) reasoning.push(summary.text);
+      }
+    } else if (item.type === "function_call") {
+      toolCalls.push({
+        id: item.call_id || item.id,
+        type: "function",
+        function: { name: item.name, arguments: item.arguments || "{}" }
+      });
+    }
+  }
+  if (!text && typeof responsesApiResponse?.output_text === "string") text = responsesApiResponse.output_text;
+
+  const message = { role: "assistant", content: text || (toolCalls.length ? null : "") };
+  if (reasoning.length) message.reasoning_content = reasoning.join("\n\n");
+  if (toolCalls.length) message.tool_calls = toolCalls;
+  if (refusal) message.refusal = refusal;
+
+  let finishReason = toolCalls.length ? "tool_calls" : "stop";
+  if (responsesApiResponse.status === "incomplete") {
+    finishReason = responsesApiResponse.incomplete_details?.reason === "content_filter" ? "content_filter" : "length";
+  }
+
+  return {
+    id: responsesApiResponse.id || ("chatcmpl-" + Date.now()),
+    object: "chat.completion",
+    created: responsesApiResponse.created_at || Math.floor(Date.now() / 1000),
+    model: responsesApiResponse.model,
+    choices: [
+      {
+        index: 0,
+        message,
+        finish_reason: finishReason
+      }
+    ],
+    usage: transformResponsesUsage(responsesApiResponse.usage)
+  };
+}
+__name(transformResponsesApiToChat, "transformResponsesApiToChat");
+
+// Chat -> Responses API (quando il client manda Chat ma si vuole usare /v1/responses).
+// Tutta la conversazione diventa input[]: system -> instructions, tool_calls -> function_call,
+// role "tool" -> function_call_output.
+function transformChatCompletionsToResponses(body) {
+  const messages = body.messages || [];
+  const instructions = messages
+    .filter(m => m.role === "system")
+    .map(m => contentToText(m.content))
+    .join("\n\n");
+
+  const input = [];
+  for (const message of messages) {
+    if (message.role === "system") continue;
+    if (message.role === "tool") {
+      input.push({
+        type: "function_call_output",
+        call_id: message.tool_call_id,
+        output: contentToText(message.content)
+      });
+      continue;
+    }
+    if (message.role === "assistant") {
+      const text = contentToText(message.content);
+      if (text) input.push({ role: "assistant", content: [{ type: "output_text", text }] });
+      for (const call of message.tool_calls || []) {
+        input.push({
+          type: "function_call",
+          call_id: call.id,
+          name: call.function?.name,
+          arguments: call.function?.arguments || "{}"
+        });
+      }
+      continue;
+    }
+    input.push({ role: message.role, content: toResponsesContentParts(message.content) });
+  }
+
+  const payload = { model: body.model, input };
+  if (instructions) payload.instructions = instructions;
+  if (body.stream) payload.stream = true;
+
+  const maxTokens = body.max_output_tokens ?? body.max_completion_tokens ?? body.max_tokens;
+  if (typeof maxTokens === "number") payload.max_output_tokens = maxTokens;
+  for (const key of ["temperature", "top_p", "parallel_tool_calls", "user", "store"]) {
+    if (body[key] !== undefined) payload[key] = body[key];
+  }
+  if (body.response_format) payload.text = { format: toResponsesTextFormat(body.response_format) };
+  const reasoning = resolveReasoningOption(body);
+  if (reasoning && reasoningFamily("openai", body.model)) {
+    payload.reasoning = { effort: openaiReasoningEffort(body.model, reasoning.effort), summary: "auto" };
+  }
+  if (Array.isArray(body.tools)) payload.tools = toResponsesTools(body.tools);
+  if (body.tool_choice) payload.tool_choice = toResponsesToolChoice(body.tool_choice);
+
+  return payload;
+}
+__name(transformChatCompletionsToResponses, "transformChatCompletionsToResponses");
+
+// Richiesta Responses API -> Chat (provider senza Responses API)
+function transformResponsesRequestToChat(body) {
+  const messages = [];
+  if (body.instructions) messages.push({ role: "system", content: body.instructions });
+
+  if (Array.isArray(body.metadata?.conversation_history)) {
+    // Formato legacy generato dalle versioni precedenti del gateway
+    if (body.metadata.system_context) {
+      messages.push({ role: "system", content: body.metadata.system_context });
+    }
+    messages.push(...body.metadata.conversation_history);
+  } else if (typeof body.input === "string") {
+    messages.push({ role: "user", content: body.input });
+  } else {
+    for (const item of body.input || []) {
+      const type = item.type || "message";
+      if (type === "message") {
+        if (item.role === "assistant" || item.role === "system" || item.role === "developer") {
+          const role = item.role === "assistant" ? "assistant" : "system";
+          messages.push({ role, content: contentToText(item.content) });
+        } else {
+          const content = typeof item.content === "string" ? item.content : fromResponsesContentParts(item.content);
+          messages.push({ role: item.role || "user", content });
+        }
+      } else if (type === "function_call") {
+        const call = {
+          id: item.call_id,
+          type: "function",
+          function: { name: item.name, arguments: item.arguments || "{}" }
+        };
+        // Le function_call consecutive appartengono allo stesso turno assistant
+        const previous = messages[messages.length - 1];
+        if (previous?.role === "assistant") {
+          previous.tool_calls = [...(previous.tool_calls || []), call];
+          if (!previous.content) previous.content = null;
+        } else {
+          messages.push({ role: "assistant", content: null, tool_calls: [call] });
+        }
+      } else if (type === "function_call_output") {
+        messages.push({
+          role: "tool",
+          tool_call_id: item.call_id,
+          content: typeof item.output === "string" ? item.output : JSON.stringify(item.output)
+        });
+      }
+      // Altri item (reasoning, ecc.) non hanno equivalente Chat
+    }
+  }
+
+  const chatBody = { model: body.model, messages, stream: !!body.stream };
+  const maxTokens = body.max_output_tokens ?? body.max_tokens;
+  if (typeof maxTokens === "number") chatBody.max_tokens = maxTokens;
+  for (const key of ["temperature", "top_p", "parallel_tool_calls", "user"]) {
+    if (body[key] !== undefined) chatBody[key] = body[key];
+  }
+  if (body.text?.format) chatBody.response_format = fromResponsesTextFormat(body.text.format);
+  else if (body.response_format) chatBody.response_format = body.response_format;
+  if (body.reasoning) chatBody.reasoning = body.reasoning;
+  if (Array.isArray(body.tools)) chatBody.tools = normalizeChatTools(body.tools);
+  if (body.tool_choice) chatBody.tool_choice = fromResponsesToolChoice(body.tool_choice);
+  return chatBody;
+}
+__name(transformResponsesRequestToChat, "transformResponsesRequestToChat");
+
+// Risposta Chat -> oggetto Responses API (output[] con reasoning, message e function_call)
+function transformChatToResponsesApi(chatResponse, responseId) {
+  const choice = chatResponse?.choices?.[0] || {};
+  const message = choice.message || {};
+  const suffix = Date.now().toString(36);
+  const output = [];
+
+  if (message.reasoning_content) {
+    output.push({
+      type: "reasoning",
+      id: `rs_${suffix}`,
+      summary: [{ type: "summary_text", text: message.reasoning_content }]
+    });
+  }
+  const text = contentToText(message.content);
+  if (text) {
+    output.push({
+      type: "message",
+      id: `msg_${suffix}`,
+      status: "completed",
+      role: "assistant",
+      content: [{ type: "output_text", text, annotations: [] }]
+    });
+  }
+  for (const call of message.tool_calls || []) {
+    output.push({
+      type: "function_call",
+      id: `fc_${call.id}`,
+      call_id: call.id,
+      name: call.function?.name,
+      arguments: call.function?.arguments || "{}",
+      status: "completed"
+    });
+  }
+
+  const incomplete = choice.finish_reason === "length" || choice.finish_reason === "content_filter";
+  const prompt = chatResponse?.usage?.prompt_tokens || 0;
+  const completion = chatResponse?.usage?.completion_tokens || 0;
+
+  return {
+    id: responseId || (chatResponse.id ? `resp_${chatResponse.id}` : `resp_${suffix}`),
+    object: "response",
+    created_at: chatResponse.created || Math.floor(Date.now() / 1000),
+    model: chatResponse.model,
+    status: incomplete ? "incomplete" : "completed",
+    ...(incomplete
+      ? { incomplete_details: { reason: choice.finish_reason === "length" ? "max_output_tokens" : "content_filter" } }
+      : {}),
+    output,
+    output_text: text,
+    usage: {
+      input_tokens: prompt,
+      output_tokens: completion,
+      total_tokens: chatResponse?.usage?.total_tokens || prompt + completion
+    },
+    // Extra dei provider (Perplexity citazioni)
+    ...(chatResponse.citations ? { citations: chatResponse.citations } : {}),
+    ...(chatResponse.search_results ? { search_results: chatResponse.search_results } : {})
+  };
+}
+__name(transformChatToResponsesApi, "transformChatToResponsesApi");
+
+// =========================
+// STREAMING (SSE)
+// =========================
+// Serializza un evento SSE completo: "event:"/"id:" opzionali, data multi-riga su più righe "data:"
+function formatSSEEvent({ event = null, id = null, data }) {
+  const payload = typeof data === "string" ? data : JSON.stringify(data);
+  let out = "";
+  if (event) out += `event: ${event}\n`;
+  if (id) out += `id: ${id}\n`;
+  for (const line of payload.split("\n")) out += `data: ${line}\n`;
+  return out + "\n";
+}
+__name(formatSSEEvent, "formatSSEEvent");
+
+// Serializza un payload come evento SSE "data:" (stringhe come "[DONE]" passano invariate)
+function formatSSEData(payload) {
+  return formatSSEEvent({ data: payload });
+}
+__name(formatSSEData, "formatSSEData");
+
+// Parser SSE incrementale: righe spezzate tra una lettura e l'altra, terminatori CRLF/CR/LF,
+// data multi-riga, campi event/id, commenti e keep-alive (": ping") ignorati.
+// push() restituisce gli eventi completi; flush() a fine stream chiude l'ultimo evento
+// anche senza riga vuota finale (Gemini non la invia sempre).
+function createSSEParser() {
+  let buffer = "";
+  let event = null;
+  let data = [];
+  let lastEventId = null;
+
+  function processLine(line, events) {
+    if (line === "") {
+      if (data.length) events.push({ event, data: data.join("\n"), id: lastEventId });
+      event = null;
+      data = [];
+      return;
+    }
+    if (line.startsWith(":")) return;
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+    if (field === "data") data.push(value);
+    else if (field === "event") event = value;
+    else if (field === "id") lastEventId = value;
+  }
+
+  return {
+    push(text) {
+      buffer += text;
+      // Un "\r" finale può essere la prima metà di "\r\n": resta nel buffer
+      const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+      buffer = lines.pop();
+      const events = [];
+      for (const line of lines) processLine(line, events);
+      return events;
+    },
+    flush() {
+      const events = [];
+      if (buffer) processLine(buffer.replace(/\r$/, ""), events);
+      buffer = "";
+      processLine("", events);
+      return events;
+    }
+  };
+}
+__name(createSSEParser, "createSSEParser");
+
+// Status HTTP equivalente ai tipi d'errore Anthropic (eventi "error" a stream avviato)
+const ANTHROPIC_ERROR_STATUS = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529
+};
+
+// Traduttore evento-per-evento: Anthropic Messages SSE -> chat.completion.chunk OpenAI
+function createAnthropicStreamTranslator() {
+  const state = {
+    id: "chatcmpl-" + Date.now(),
+    model: undefined,
+    created: Math.floor(Date.now() / 1000),
+    promptTokens: 0,
+    completionTokens: 0,
+    finishSent: false,
+    done: false,
+    // indice blocco Anthropic -> indice tool_calls OpenAI
+    toolIndexByBlock: new Map(),
+    // blocchi del tool di structured output (emessi come content)
+    structuredBlocks: new Set()
+  };
+
+  const chunk = (delta, finishReason = null) => ({
+    id: state.id,
+    object: "chat.completion.chunk",
+    created: state.created,
+    model: state.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+
+  // Chiude lo stream: finish_reason (se mancante), chunk finale con usage e [DONE]
+  function finish() {
+    if (state.done) return [];
+    state.done = true;
+    const out = [];
+    if (!state.finishSent) out.push(chunk({}, "stop"));
+    out.push({
+      id: state.id,
+      object: "chat.completion.chunk",
+      created: state.created,
+      model: state.model,
+      choices: [],
+      usage: {
+        prompt_tokens: state.promptTokens,
+        completion_tokens: state.completionTokens,
+        total_tokens: state.promptTokens + state.completionTokens
+      }
+    });
+    out.push("[DONE]");
+    return out;
+  }
+
+  function translate(eventName, data) {
+    if (state.done) return [];
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      return [];
+    }
+    switch (parsed.type || eventName) {
+      case "message_start": {
+        const message = parsed.message || {};
+        if (message.id) state.id = message.id;
+        state.model = message.model;
+        state.promptTokens = message.usage?.input_tokens || 0;
+        state.completionTokens = message.usage?.output_tokens || 0;
+        return [chunk({ role: "assistant", content: "" })];
+      }
+      case "content_block_start": {
+        const block = parsed.content_block || {};
+        if (block.type !== "tool_use") return [];
+        if (block.name === STRUCTURED_OUTPUT_TOOL) {
+          state.structuredBlocks.add(parsed.index);
+          return [];
+        }
+        const toolIndex = state.toolIndexByBlock.size;
+        state.toolIndexByBlock.set(parsed.index, toolIndex);
+        return [chunk({
+          tool_calls: [{
+            index: toolIndex,
+            id: block.id,
+            type: "function",
+            function: { name: block.name, arguments: "" }
+          }]
+        })];
+      }
+      case "content_block_delta":
+        if (parsed.delta?.type === "text_delta") {
+          return [chunk({ content: parsed.delta.text || "" })];
+        }
+        if (parsed.delta?.type === "thinking_delta") {
+          return [chunk({ reasoning_content: parsed.delta.thinking || "" })];
+        }
+        if (parsed.delta?.type === "input_json_delta" && state.structuredBlocks.has(parsed.index)) {
+          return [chunk({ content: parsed.delta.partial_json || "" })];
+        }
+        if (parsed.delta?.type === "input_json_delta" && state.toolIndexByBlock.has(parsed.index)) {
+          return [chunk({
+            tool_calls: [{
+              index: state.toolIndexByBlock.get(parsed.index),
+              function: { arguments: parsed.delta.partial_json || "" }
+            }]
+          })];
+        }
+        return [];
+      case "message_delta":
+        if (typeof parsed.usage?.output_tokens === "number") {
+          state.completionTokens = parsed.usage.output_tokens;
+        }
+        if (parsed.delta?.stop_reason) {
+          state.finishSent = true;
+          const onlyStructured = state.structuredBlocks.size > 0 && state.toolIndexByBlock.size === 0;
+          return [chunk({}, onlyStructured ? "stop" : mapAnthropicStopReason(parsed.delta.stop_reason))];
+        }
+        return [];
+      case "message_stop":
+        return finish();
+      case "error":
+        state.done = true;
+        return [streamErrorPayload("anthropic", parsed, ANTHROPIC_ERROR_STATUS[parsed.error?.type] || 500), "[DONE]"];
+      default:
+        // ping, content_block_stop: nessun equivalente OpenAI
+        return [];
+    }
+  }
+
+  return {
+    translate,
+    finish,
+    get done() { return state.done; }
+  };
+}
+__name(createAnthropicStreamTranslator, "createAnthropicStreamTranslator");
+
+// usage presente in un evento di stream (OpenAI include_usage, Groq x_groq, Responses API)
+function streamPayloadUsage(payload) {
+  if (!payload || typeof payload !== "object") return null;
+  return payload.usage || payload.x_groq?.usage || payload.response?.usage || null;
+}
+__name(streamPayloadUsage, "streamPayloadUsage");
+
+// Traduttore evento-per-evento: streamGenerateContent (SSE) Gemini -> chat.completion.chunk OpenAI
+function createGeminiStreamTranslator(model) {
+  const state = {
+    id: "chatcmpl-" + Date.now(),
+    model,
+    created: Math.floor(Date.now() / 1000),
+    usage: null,
+    roleSent: false,
+    toolCallCount: 0,
+    finishReason: null,
+    done: false
+  };
+
+  const chunk = (delta, finishReason = null) => ({
+    id: state.id,
+    object: "chat.completion.chunk",
+    created: state.created,
+    model: state.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+
+  // Gemini non invia un evento di chiusura: finish_reason, usage e [DONE] a fine stream
+  function finish() {
+    if (state.done) return [];
+    state.done = true;
+    return [
+      chunk({}, state.finishReason || "stop"),
+      {
+        id: state.id,
+        object: "chat.completion.chunk",
+        created: state.created,
+        model: state.model,
+        choices: [],
+        usage: transformGeminiUsage(state.usage)
+      },
+      "[DONE]"
+    ];
+  }
+
+  function translate(eventName, data) {
+    if (state.done) return [];
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      return [];
+    }
+    if (parsed.error) {
+      state.done = true;
+      return [streamErrorPayload("gemini", parsed, Number(parsed.error.code) || 500), "[DONE]"];
+    }
+    if (parsed.responseId) state.id = parsed.responseId;
+    if (parsed.modelVersion) state.model = parsed.modelVersion;
+    if (parsed.usageMetadata) state.usage = parsed.usageMetadata;
+
+    const out = [];
+    if (!state.roleSent) {
+      state.roleSent = true;
+      out.push(chunk({ role: "assistant", content: "" }));
+    }
+    const candidate = parsed.candidates?.[0];
+    for (const part of candidate?.content?.parts || []) {
+      if (typeof part.text === "string" && part.thought && part.text) {
+        out.push(chunk({ reasoning_content: part.text }));
+      } else if (typeof part.text === "string" && part.text) {
+        out.push(chunk({ content: part.text }));
+      } else if (part.functionCall) {
+        const index = state.toolCallCount++;
+        out.push(chunk({
+          tool_calls: [{
+            index,
+            id: part.functionCall.id || `call_${Date.now()}_${index}`,
+            type: "function",
+            function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+          }]
+        }));
+      }
+    }
+    if (candidate?.finishReason) {
+      state.finishReason = mapGeminiFinishReason(candidate.finishReason, state.toolCallCount > 0);
+    }
+    return out;
+  }
+
+  return {
+    translate,
+    finish,
+    get done() { return state.done; }
+  };
+}
+__name(createGeminiStreamTranslator, "createGeminiStreamTranslator");
+
+// Traduttore evento-per-evento per gli stream OpenAI: i chunk Chat passano invariati, gli eventi
+// Responses API (richieste Chat servite da /v1/responses) diventano chat.completion.chunk
+function createResponsesStreamTranslator(model) {
+  const state = {
+    id: "chatcmpl-" + Date.now(),
+    model,
+    created: Math.floor(Date.now() / 1000),
+    // output_index Responses -> indice tool_calls OpenAI
+    toolIndexByOutput: new Map(),
+    done: false
+  };
+
+  const chunk = (delta, finishReason = null) => ({
+    id: state.id,
+    object: "chat.completion.chunk",
+    created: state.created,
+    model: state.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+
+  function finish() {
+    if (state.done) return [];
+    state.done = true;
+    return ["[DONE]"];
+  }
+
+  function translate(eventName, data) {
+    if (state.done) return [];
+    if (data === "[DONE]") return finish();
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      return [data];
+    }
+    const type = parsed.type || eventName;
+    if (typeof type !== "string" || (!type.startsWith("response.") && type !== "error")) return [parsed];
+
+    switch (type) {
+      case "response.created":
+        if (parsed.response?.id) state.id = parsed.response.id;
+        if (parsed.response?.model) state.model = parsed.response.model;
+        return [chunk({ role: "assistant", content: "" })];
+      case "response.output_text.delta":
+        return [chunk({ content: parsed.delta || "" })];
+      case "response.reasoning_summary_text.delta":
+        return [chunk({ reasoning_content: parsed.delta || "" })];
+      case "response.output_item.added": {
+        const item = parsed.item || {};
+        if (item.type !== "function_call") return [];
+        const toolIndex = state.toolIndexByOutput.size;
+        state.toolIndexByOutput.set(parsed.output_index, toolIndex);
+        return [chunk({
+          tool_calls: [{
+            index: toolIndex,
+            id: item.call_id,
+            type: "function",
+            function: { name: item.name, arguments: "" }
+          }]
+        })];
+      }
+      case "response.function_call_arguments.delta":
+        if (!state.toolIndexByOutput.has(parsed.output_index)) return [];
+        return [chunk({
+          tool_calls: [{
+            index: state.toolIndexByOutput.get(parsed.output_index),
+            function: { arguments: parsed.delta || "" }
+          }]
+        })];
+      case "response.completed":
+      case "response.incomplete": {
+        state.done = true;
+        const response = parsed.response || {};
+        const finishReason = state.toolIndexByOutput.size
+          ? "tool_calls"
+          : (response.incomplete_details?.reason === "max_output_tokens" ? "length" : "stop");
+        const out = [chunk({}, finishReason)];
+        if (response.usage) out.push({ ...chunk({}), choices: [], usage: transformResponsesUsage(response.usage) });
+        out.push("[DONE]");
+        return out;
+      }
+      case "response.failed":
+      case "error":
+        state.done = true;
+        return [streamErrorPayload("openai", parsed.response || parsed, 500), "[DONE]"];
+      default:
+        // response.in_progress, content_part.*, output_text.done, ...: nessun equivalente Chat
+        return [];
+    }
+  }
+
+  return {
+    translate,
+    finish,
+    get done() { return state.done; }
+  };
+}
+__name(createResponsesStreamTranslator, "createResponsesStreamTranslator");
+
+// Ricostruisce il messaggio assistant (testo + tool_calls) dai chunk Chat di uno stream
+function createChatStreamAccumulator() {
+  let content = "";
+  let reasoning = "";
+  let finishReason = null;
+  let usage = null;
+  const toolCalls = [];
+  return {
+    add(payload) {
+      usage = streamPayloadUsage(payload) || usage;
+      const choice = payload?.choices?.[0];
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      const delta = choice?.delta;
+      if (!delta) return;
+      if (typeof delta.content === "string") content += delta.content;
+      if (typeof delta.reasoning_content === "string") reasoning += delta.reasoning_content;
+      for (const call of delta.tool_calls || []) {
+        const index = call.index ?? toolCalls.length;
+        if (!toolCalls[index]) {
+          toolCalls[index] = { id: call.id, type: "function", function: { name: "", arguments: "" } };
+        }
+        const target = toolCalls[index];
+        if (call.id) target.id = call.id;
+        if (call.function?.name) target.function.name += call.function.name;
+        if (call.function?.arguments) target.function.arguments += call.function.arguments;
+      }
+    },
+    message() {
+      const calls = toolCalls.filter(Boolean);
+      const message = { role: "assistant", content: content || (calls.length ? null : "") };
+      if (reasoning) message.reasoning_content = reasoning;
+      if (calls.length) message.tool_calls = calls;
+      return message;
+    },
+    get finishReason() { return finishReason; },
+    get usage() { return usage; }
+  };
+}
+__name(createChatStreamAccumulator, "createChatStreamAccumulator");
+
+// Stream Chat -> eventi Responses API, per i client in formato Responses serviti da provider
+// Chat: response.created/in_progress, output_item.added/done, delta di testo, ragionamento e
+// argomenti dei tool, infine response.completed (o incomplete) con la risposta completa.
+// Riceve i chunk già tradotti/ripristinati; "[DONE]" (o finish()) chiude la risposta.
+function createChatToResponsesStreamTranslator(model, { responseId = null, previousResponseId = null } = {}) {
+  const suffix = Date.now().toString(36);
+  const accumulator = createChatStreamAccumulator();
+  const state = {
+    id: responseId,
+    model,
+    created: Math.floor(Date.now() / 1000),
+    sequence: 0,
+    // output[] nell'ordine di apertura; open = item di testo o ragionamento che riceve i delta
+    items: [],
+    open: null,
+    // indice tool_calls Chat -> item function_call
+    toolItems: new Map(),
+    started: false,
+    done: false
+  };
+
+  const event = (type, fields = {}) => ({ type, sequence_number: state.sequence++, ...fields });
+  const snapshot = status => ({
+    id: state.id, object: "response", created_at: state.created, model: state.model, status, output: [],
+    ...(previousResponseId ? { previous_response_id: previousResponseId } : {})
+  });
+
+  function start(payload) {
+    if (state.started) return [];
+    state.started = true;
+    state.id ??= payload?.id ? `resp_${payload.id}` : `resp_${suffix}`;
+    if (payload?.model) state.model = payload.model;
+    return [
+      event("response.created", { response: snapshot("in_progress") }),
+      event("response.in_progress", { response: snapshot("in_progress") })
+    ];
+  }
+
+  // Riferimenti di un item (e della sua unica parte di testo) negli eventi
+  const itemRef = item => ({ item_id: item.id, output_index: state.items.indexOf(item) });
+  const partRef = item => ({ ...itemRef(item), ...(item.type === "reasoning" ? { summary_index: 0 } : { content_index: 0 }) });
+  const textPart = item => (item.type === "reasoning" ? item.summary[0] : item.content[0]);
+
+  // Chiude l'item di testo/ragionamento aperto (i function_call si chiudono a fine risposta)
+  function closeOpen() {
+    const item = state.open;
+    if (!item) return [];
+    state.open = null;
+    const part = textPart(item);
+    const reasoning = item.type === "reasoning";
+    if (!reasoning) item.status = "completed";
+    return [
+      event(reasoning ? "response.reasoning_summary_text.done" : "response.output_text.done", { ...partRef(item), text: part.text }),
+      event(reasoning ? "response.reasoning_summary_part.done" : "response.content_part.done", { ...partRef(item), part: { ...part } }),
+      event("response.output_item.done", { output_index: state.items.indexOf(item), item: structuredClone(item) })
+    ];
+  }
+
+  // Delta di testo ("message") o ragionamento ("reasoning") sull'item aperto dello stesso tipo
+  function appendText(type, text) {
+    const out = [];
+    const reasoning = type === "reasoning";
+    if (state.open?.type !== type) {
+      out.push(...closeOpen());
+      const part = reasoning ? { type: "summary_text", text: "" } : { type: "output_text", text: "", annotations: [] };
+      const id = `${reasoning ? "rs" : "msg"}_${suffix}_${state.items.length}`;
+      const item = reasoning
+        ? { type, id, summary: [part] }
+        : { type, id, status: "in_progress", role: "assistant", content: [part] };
+      state.items.push(item);
+      state.open = item;
+      out.push(
+        event("response.output_item.added", {
+          output_index: state.items.length - 1,
+          item: reasoning ? { ...item, summary: [] } : { ...item, content: [] }
+        }),
+        event(reasoning ? "response.reasoning_summary_part.added" : "response.content_part.added", {
+          ...partRef(item),
+          part: { ...part }
+        })
+      );
+    }
+    textPart(state.open).text += text;
+    out.push(event(reasoning ? "response.reasoning_summary_text.delta" : "response.output_text.delta", {
+      ...partRef(state.open),
+      delta: text
+    }));
+    return out;
+  }
+
+  function appendToolCall(call) {
+    const out = [];
+    const index = call.index ?? state.toolItems.size;
+    let item = state.toolItems.get(index);
+    if (!item) {
+      out.push(...closeOpen());
+      const callId = call.id || `call_${suffix}_${index}`;
+      item = {
+        type: "function_call",
+        id: `fc_${callId}`,
+        call_id: callId,
+        name: call.function?.name || "",
+        arguments: "",
+        status: "in_progress"
+      };
+      state.toolItems.set(index, item);
+      state.items.push(item);
+      out.push(event("response.output_item.added", { output_index: state.items.length - 1, item: { ...item } }));
+    } else if (call.function?.name) {
+      item.name += call.function.name;
+    }
+    if (call.function?.arguments) {
+      item.arguments += call.function.arguments;
+      out.push(event("response.function_call_arguments.delta", { ...itemRef(item), delta: call.function.arguments }));
+    }
+    return out;
+  }
+
+  function finish() {
+    if (state.done) return [];
+    const out = [...start(null), ...closeOpen()];
+    state.done = true;
+    for (const item of state.toolItems.values()) {
+      item.status = "completed";
+      item.arguments ||= "{}";
+      out.push(
+        event("response.function_call_arguments.done", { ...itemRef(item), arguments: item.arguments }),
+        event("response.output_item.done", { output_index: state.items.indexOf(item), item: { ...item } })
+      );
+    }
+    // Stato, motivo di incompletezza e usage come nella risposta non-stream
+    const response = transformChatToResponsesApi({
+      created: state.created,
+      model: state.model,
+      choices: [{ message: accumulator.message(), finish_reason: accumulator.finishReason }],
+      usage: accumulator.usage
+    }, state.id);
+    response.output = state.items;
+    if (previousResponseId) response.previous_response_id = previousResponseId;
+    out.push(event(response.status === "incomplete" ? "response.incomplete" : "response.completed", { response }));
+    return out;
+  }
+
+  function translate(payload) {
+    if (state.done) return [];
+    if (payload === "[DONE]") return finish();
+    if (!payload || typeof payload !== "object") return [];
+    if (payload.error) {
+      state.done = true;
+      const { message, code = null, param = null } = payload.error;
+      return [...start(null), event("error", { code, message, param })];
+    }
+    const out = start(payload);
+    accumulator.add(payload);
+    const delta = payload.choices?.[0]?.delta || {};
+    if (typeof delta.reasoning_content === "string" && delta.reasoning_content) {
+      out.push(...appendText("reasoning", delta.reasoning_content));
+    }
+    if (typeof delta.content === "string" && delta.content) out.push(...appendText("message", delta.content));
+    for (const call of delta.tool_calls || []) out.push(...appendToolCall(call));
+    return out;
+  }
+
+  return {
+    translate,
+    finish,
+    get done() { return state.done; }
+  };
+}
+__name(createChatToResponsesStreamTranslator, "createChatToResponsesStreamTranslator");
+
+async function handleStreamingResponse(response, providerName, options = {}) {
+  // Errori upstream (JSON, non SSE): normalizzati prima di aprire lo stream
+  if (!response.ok) {
+    return providerErrorResponse(providerName, response);
+  }
+  if (!response.body) {
+    return errorResponse(502, `${providerName} returned an empty stream.`, { type: "api_error", code: "upstream_error" });
+  }
+  const trace = options.trace || null;
+  trace?.startStream();
+  const reader = response.body.getReader();
+  const policy = options.policy || null;
+  // Callback asincrone (onFinish, onComplete) tenute vive oltre la risposta dal runtime
+  const background = (promise) => (options.waitUntil ? options.waitUntil(promise) : Promise.resolve(promise).catch(() => {}));
+  let cancelled = false;
+  let stopTimers = () => {};
+  // Esito dello stream (una sola volta, anche se interrotto o annullato dal client):
+  // status e usage ricevuto, null se il provider non l'ha inviato
+  let streamUsage = null;
+  let finished = false;
+  const finishStream = (status) => {
+    if (finished || !options.onFinish) return;
+    finished = true;
+    background(options.onFinish({ status, usage: streamUsage }));
+  };
+
+  const readable = new ReadableStream({
+    start(controller) {
+      const decoder = new TextDecoder();
+      const encoder = new TextEncoder();
+      const parser = createSSEParser();
+      // Adattatori per provider: eventi upstream -> chat.completion.chunk OpenAI
+      // (in passthrough gli eventi Responses API arrivano al client senza conversione)
+      const translator = options.passthrough ? null
+        : providerName === "anthropic" ? createAnthropicStreamTranslator()
+        : providerName === "gemini" ? createGeminiStreamTranslator(options.model)
+        : providerName === "openai" ? createResponsesStreamTranslator(options.model) : null;
+      // Groq/Mistral/Perplexity: ragionamento in campi propri -> delta.reasoning_content
+      const reasoningNormalizer = !translator && !options.passthrough &&
+        ["groq", "mistral", "perplexity"].includes(providerName) ? createReasoningStreamNormalizer() : null;
+      // Segnaposto PII da ripristinare (vedi createPiiStreamRestorer)
+      const restorer = options.restorer || null;
+      // Client in formato Responses su provider Chat: i chunk finali diventano eventi Responses
+      const responsesOutput = options.responsesOutput
+        ? createChatToResponsesStreamTranslator(options.model, {
+          responseId: options.responseId,
+          previousResponseId: options.previousResponseId
+        })
+        : null;
+      // Senza adattatore i byte upstream passano invariati (parsing solo per usage/onComplete)
+      const rawPassthrough = !translator && !reasoningNormalizer && !restorer && !responsesOutput;
+      let completed = false;
+      const accumulator = options.onComplete ? createChatStreamAccumulator() : null;
+
+      // Heartbeat: commento SSE dopo heartbeat_ms senza output (proxy che chiudono le connessioni
+      // inattive durante il ragionamento); TTFB: stream chiuso se il primo byte non arriva
+      let heartbeatTimer = null;
+      let firstByteTimer = null;
+      let timedOut = false;
+      const scheduleHeartbeat = () => {
+        if (!policy?.heartbeat_ms) return;
+        clearTimeout(heartbeatTimer);
+        heartbeatTimer = setTimeout(() => {
+          try {
+            write(encoder.encode(": keep-alive\n\n"));
+          } catch {
+            // stream già chiuso
+          }
+        }, policy.heartbeat_ms);
+      };
+      const write = (bytes) => {
+        controller.enqueue(bytes);
+        scheduleHeartbeat();
+      };
+      stopTimers = () => {
+        clearTimeout(heartbeatTimer);
+        clearTimeout(firstByteTimer);
+      };
+      if (policy?.ttfb_timeout_ms) {
+        firstByteTimer = setTimeout(() => {
+          timedOut = true;
+          reader.cancel().catch(() => {});
+        }, policy.ttfb_timeout_ms);
+      }
+      scheduleHeartbeat();
+
+      // Eventi Responses API: il nome dell'evento ("event:") coincide con payload.type
+      const sendEvent = (payload, event) => write(encoder.encode(formatSSEEvent({
+        event: event && payload?.type ? payload.type : event,
+        data: payload
+      })));
+      const restored = payload => (restorer ? restorer.transform(payload) : [payload]);
+      // Chunk Chat verso il client (convertiti in eventi Responses se richiesto)
+      const deliver = (payload, event = null) => {
+        if (!responsesOutput) return sendEvent(payload, event);
+        for (const out of responsesOutput.translate(payload)) sendEvent(out, true);
+      };
+
+      // Totale token dello stream (il primo ricevuto) + ricostruzione del messaggio
+      const reportUsage = (payload) => {
+        accumulator?.add(payload);
+        streamUsage ??= streamPayloadUsage(payload) || null;
+      };
+
+      // Errore a stream avviato: evento SSE finale con lo stesso envelope delle risposte JSON
+      // (formato Responses API "event: error" per i client in passthrough), poi chiusura
+      const failStream = (err) => {
+        const { error } = streamErrorPayload(providerName, {
+          message: `Upstream stream interrupted: ${err instanceof Error ? err.message : String(err)}`,
+          type: "stream_interrupted"
+        }, 502);
+        const event = options.passthrough || responsesOutput
+          ? formatSSEEvent({ event: "error", data: { type: "error", ...error } })
+          : formatSSEData({ error });
+        stopTimers();
+        try {
+          controller.enqueue(encoder.encode(event));
+          controller.close();
+        } catch {
+          // client già disconnesso
+        }
+        finishStream(502);
+        trace?.finish({ stream_status: "interrupted", error: error.message });
+      };
+
+      // Chiusura dello stream: notifica il messaggio assistant completo (una sola volta)
+      const closeStream = () => {
+        stopTimers();
+        if (accumulator && !completed) {
+          completed = true;
+          background(options.onComplete({
+            message: accumulator.message(),
+            finishReason: accumulator.finishReason,
+            usage: accumulator.usage
+          }));
+        }
+        controller.close();
+        finishStream(response.status);
+        trace?.finish({ stream_status: "completed" });
+      };
+
+      // Eventi completi: tradotti/normalizzati e inoltrati, oppure solo letti per l'usage.
+      // Restituisce true quando l'adattatore ha chiuso lo stream ([DONE] già inviato)
+      const emitEvents = (events) => {
+        for (const evt of events) {
+          if (translator) {
+            for (const out of translator.translate(evt.event, evt.data).flatMap(restored)) {
+              reportUsage(out);
+              deliver(out);
+            }
+            if (translator.done) return true;
+            continue;
+          }
+          let payload = evt.data;
+          try {
+            payload = JSON.parse(evt.data);
+            if (reasoningNormalizer) reasoningNormalizer.normalize(payload);
+          } catch {
+            // [DONE] o dati non JSON: inoltrati così come sono
+          }
+          for (const out of restored(payload)) {
+            if (out && typeof out === "object") reportUsage(out);
+            if (!rawPassthrough) deliver(out, evt.event);
+          }
+        }
+        return false;
+      };
+
+      const pump = async () => {
+        try {
+          while (true) {
+            const { done, value } = await reader.read();
+            if (cancelled) return;
+            if (timedOut) {
+              failStream(upstreamTimeoutError("data", policy.ttfb_timeout_ms));
+              return;
+            }
+            if (done) {
+              // Decoder e parser svuotati: l'ultimo evento vale anche senza riga vuota finale
+              const finished = emitEvents([...parser.push(decoder.decode()), ...parser.flush()]);
+              if (translator && !finished) {
+                for (const out of translator.finish().flatMap(restored)) {
+                  reportUsage(out);
+                  deliver(out);
+                }
+              }
+              // Testo ancora trattenuto dal ripristino PII (stream chiuso senza [DONE])
+              for (const out of restorer?.flush() || []) {
+                reportUsage(out);
+                deliver(out, options.passthrough ? out.type : null);
+              }
+              // Stream chiuso senza [DONE]: la risposta Responses si chiude comunque
+              for (const out of responsesOutput?.finish() || []) sendEvent(out, true);
+              closeStream();
+              return;
+            }
+
+            trace?.firstToken();
+            clearTimeout(firstByteTimer);
+            if (rawPassthrough) {
+              write(value);
+              if (!options.onFinish && !options.onComplete) continue;
+            }
+            if (emitEvents(parser.push(decoder.decode(value, { stream: true })))) {
+              await reader.cancel();
+              closeStream();
+              return;
+            }
+          }
+        } catch (err) {
+          if (!cancelled) failStream(err);
+        } finally {
+          reader.releaseLock();
+        }
+      };
+
+      pump();
+    },
+    // Client disconnesso: la richiesta upstream viene chiusa (niente token generati a vuoto)
+    cancel(reason) {
+      cancelled = true;
+      stopTimers();
+      // 499: chiusura lato client (convenzione nginx)
+      finishStream(499);
+      trace?.finish({ stream_status: "cancelled" });
+      return reader.cancel(reason).catch(() => {});
+    }
+  });
+
+  return new Response(readable, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, x-provider"
+    }
+  });
+}
+__name(handleStreamingResponse, "handleStreamingResponse");
+
+// =========================
+// CATALOGO MODELLI (capacità, limiti e prezzi)
+// =========================
+// Prima voce corrispondente vince (pattern come modelMatchesPattern). Prezzi in USD per
+// 1M token [input, output], indicativi: sovrascrivibili con env MODEL_PRICING (JSON
+// { "<modello o prefisso*>": { "input": 1.25, "output": 10 } }).
+// kind: "chat" (default), "audio", "embedding", "moderation".
+// released: data di rilascio della famiglia (UTC), usata come "created" quando il provider non la fornisce.
+const MODEL_CATALOG = {
+  openai: [
+    { match: "gpt-5-nano", released: "2025-08-07", context_window: 400000, max_output_tokens: 128000, reasoning: true, price: [0.05, 0.4] },
+    { match: "gpt-5-mini", released: "2025-08-07", context_window: 400000, max_output_tokens: 128000, reasoning: true, price: [0.25, 2] },
+    { match: "gpt-5*", released: "2025-08-07", context_window: 400000, max_output_tokens: 128000, reasoning: true, price: [1.25, 10] },
+    { match: "gpt-4.1-nano", released: "2025-04-14", context_window: 1047576, max_output_tokens: 32768, price: [0.1, 0.4] },
+    { match: "gpt-4.1-mini", released: "2025-04-14", context_window: 1047576, max_output_tokens: 32768, price: [0.4, 1.6] },
+    { match: "gpt-4.1", released: "2025-04-14", context_window: 1047576, max_output_tokens: 32768, price: [2, 8] },
+    { match: "gpt-4o-mini", released: "2024-07-18", context_window: 128000, max_output_tokens: 16384, price: [0.15, 0.6] },
+    { match: "gpt-4o-transcribe", released: "2025-03-20", kind: "audio", price: [2.5, 10] },
+    { match: "gpt-4o-mini-transcribe", released: "2025-03-20", kind: "audio", price: [1.25, 5] },
+    { match: "gpt-4o", released: "2024-05-13", context_window: 128000, max_output_tokens: 16384, price: [2.5, 10] },
+    { match: "chatgpt-4o-latest", released: "2024-08-13", context_window: 128000, max_output_tokens: 16384, tools: false, price: [5, 15] },
+    { match: "gpt-4-turbo", released: "2024-04-09", context_window: 128000, max_output_tokens: 4096, price: [10, 30] },
+    { match: "o4-mini", released: "2025-04-16", context_window: 200000, max_output_tokens: 100000, reasoning: true, price: [1.1, 4.4] },
+    { match: "o3-mini", released: "2025-01-31", context_window: 200000, max_output_tokens: 100000, reasoning: true, price: [1.1, 4.4] },
+    { match: "o3", released: "2025-04-16", context_window: 200000, max_output_tokens: 100000, reasoning: true, price: [2, 8] },
+    { match: "o1-mini", released: "2024-09-12", context_window: 128000, max_output_tokens: 65536, reasoning: true, tools: false, price: [1.1, 4.4] },
+    { match: "o1-preview", released: "2024-09-12", context_window: 128000, max_output_tokens: 32768, reasoning: true, tools: false, price: [15, 60] },
+    { match: "o1", released: "2024-12-17", context_window: 200000, max_output_tokens: 100000, reasoning: true, price: [15, 60] },
+    { match: "gpt-3.5-turbo", released: "2023-03-01", context_window: 16385, max_output_tokens: 4096, price: [0.5, 1.5] },
+    { match: "whisper-1", released: "2023-03-01", kind: "audio" },
+    { match: "text-embedding-3-small", released: "2024-01-25", kind: "embedding", context_window: 8191, price: [0.02, 0] },
+    { match: "text-embedding-3-large", released: "2024-01-25", kind: "embedding", context_window: 8191, price: [0.13, 0] },
+    { match: "text-embedding-ada-002", released: "2022-12-15", kind: "embedding", context_window: 8191, price: [0.1, 0] },
+    { match: "omni-moderation-*", released: "2024-09-26", kind: "moderation", price: [0, 0] }
+  ],
+  anthropic: [
+    { match: "claude-opus-4*", released: "2025-05-22", context_window: 200000, max_output_tokens: 32000, reasoning: true, price: [15, 75] },
+    { match: "claude-sonnet-4*", released: "2025-05-22", context_window: 200000, max_output_tokens: 64000, reasoning: true, price: [3, 15] },
+    { match: "claude-3-7-sonnet*", released: "2025-02-24", context_window: 200000, max_output_tokens: 64000, reasoning: true, price: [3, 15] },
+    { match: "claude-3-5-sonnet*", released: "2024-06-20", context_window: 200000, max_output_tokens: 8192, price: [3, 15] },
+    { match: "claude-3-5-haiku*", released: "2024-10-22", context_window: 200000, max_output_tokens: 8192, price: [0.8, 4] },
+    { match: "claude-3-opus*", released: "2024-02-29", context_window: 200000, max_output_tokens: 4096, price: [15, 75] },
+    { match: "claude-3-haiku*", released: "2024-03-07", context_window: 200000, max_output_tokens: 4096, price: [0.25, 1.25] }
+  ],
+  groq: [
+    { match: "llama-3.3-70b-versatile", released: "2024-12-06", context_window: 131072, max_output_tokens: 32768, price: [0.59, 0.79] },
+    { match: "llama-3.1-8b-instant", released: "2024-07-23", context_window: 131072, max_output_tokens: 131072, price: [0.05, 0.08] },
+    { match: "openai/gpt-oss-120b", released: "2025-08-05", context_window: 131072, max_output_tokens: 65536, reasoning: true, price: [0.15, 0.75] },
+    { match: "openai/gpt-oss-20b", released: "2025-08-05", context_window: 131072, max_output_tokens: 65536, reasoning: true, price: [0.1, 0.5] },
+    { match: "meta-llama/llama-guard-4-12b", released: "2025-04-29", kind: "moderation", context_window: 131072, max_output_tokens: 1024, price: [0.2, 0.2] },
+    { match: "meta-llama/llama-4-*", released: "2025-04-05", context_window: 131072, max_output_tokens: 8192 },
+    { match: "whisper-large-v3-turbo", released: "2024-10-01", kind: "audio" },
+    { match: "whisper-large-v3", released: "2023-11-06", kind: "audio" }
+  ],
+  mistral: [
+    { match: "mistral-large-latest", released: "2024-11-18", context_window: 131072, max_output_tokens: 131072, price: [2, 6] },
+    { match: "mistral-medium-latest", released: "2025-05-07", context_window: 131072, max_output_tokens: 131072, price: [0.4, 2] },
+    { match: "mistral-small-latest", released: "2025-03-17", context_window: 131072, max_output_tokens: 131072, price: [0.1, 0.3] },
+    { match: "pixtral-*", released: "2024-09-11", context_window: 131072, max_output_tokens: 131072 },
+    { match: "mistral-embed", released: "2023-12-11", kind: "embedding", context_window: 8192, price: [0.1, 0] }
+  ],
+  xai: [
+    { match: "grok-4-fast*", released: "2025-09-19", context_window: 2000000, max_output_tokens: 30000, reasoning: true, price: [0.2, 0.5] },
+    { match: "grok-4*", released: "2025-07-09", context_window: 256000, max_output_tokens: 64000, reasoning: true, price: [3, 15] },
+    { match: "grok-code-fast-1", released: "2025-08-28", context_window: 256000, max_output_tokens: 10000, reasoning: true, price: [0.2, 1.5] },
+    { match: "grok-3-mini", released: "2025-02-17", context_window: 131072, max_output_tokens: 16384, reasoning: true, price: [0.3, 0.5] },
+    { match: "grok-3", released: "2025-02-17", context_window: 131072, max_output_tokens: 16384, price: [3, 15] },
+    { match: "grok-2-vision*", released: "2024-12-12", context_window: 32768, max_output_tokens: 8192, tools: false, price: [2, 10] },
+    { match: "grok-vision-beta", released: "2024-11-04", context_window: 8192, max_output_tokens: 8192, tools: false, price: [5, 15] }
+  ],
+  gemini: [
+    { match: "gemini-2.5-pro", released: "2025-06-17", context_window: 1048576, max_output_tokens: 65536, reasoning: true, price: [1.25, 10] },
+    { match: "gemini-2.5-flash-lite", released: "2025-07-22", context_window: 1048576, max_output_tokens: 65536, reasoning: true, price: [0.1, 0.4] },
+    { match: "gemini-2.5-flash", released: "2025-06-17", context_window: 1048576, max_output_tokens: 65536, reasoning: true, price: [0.3, 2.5] },
+    { match: "gemini-2.0-flash-lite", released: "2025-02-25", context_window: 1048576, max_output_tokens: 8192, price: [0.075, 0.3] },
+    { match: "gemini-2.0-flash", released: "2025-02-05", context_window: 1048576, max_output_tokens: 8192, price: [0.1, 0.4] }
+  ],
+  deepseek: [
+    { match: "deepseek-chat", released: "2024-12-26", context_window: 128000, max_output_tokens: 8192, price: [0.27, 1.1] },
+    { match: "deepseek-reasoner", released: "2025-01-20", context_window: 128000, max_output_tokens: 65536, reasoning: true, tools: false, price: [0.55, 2.19] }
+  ],
+  perplexity: [
+    { match: "sonar-deep-research", released: "2025-02-14", context_window: 128000, reasoning: true, tools: false, price: [2, 8] },
+    { match: "sonar-reasoning-pro", released: "2025-02-14", context_window: 128000, reasoning: true, tools: false, price: [2, 8] },
+    { match: "sonar-reasoning", released: "2025-01-29", context_window: 128000, reasoning: true, tools: false, price: [1, 5] },
+    { match: "sonar-pro", released: "2025-01-21", context_window: 200000, max_output_tokens: 8000, tools: false, price: [3, 15] },
+    { match: "sonar", released: "2025-01-21", context_window: 128000, tools: false, price: [1, 1] }
+  ]
+};
+
+function findCatalogEntry(providerName, model) {
+  return (MODEL_CATALOG[providerName] || []).find(entry => modelMatchesPattern(model, entry.match)) || null;
+}
+__name(findCatalogEntry, "findCatalogEntry");
+
+// Prezzo per 1M token { input, output } (override env MODEL_PRICING, poi catalogo); null se ignoto
+function getModelPricing(env, providerName, model) {
+  let overrides = {};
+  try {
+    overrides = env?.MODEL_PRICING ? JSON.parse(env.MODEL_PRICING) : {};
+  } catch {
+    overrides = {};
+  }
+  const override = Object.entries(overrides).find(([pattern]) => modelMatchesPattern(model, pattern));
+  if (override) return { input: Number(override[1].input) || 0, output: Number(override[1].output) || 0 };
+  const price = findCatalogEntry(providerName, model)?.price;
+  return price ? { input: price[0], output: price[1] } : null;
+}
+__name(getModelPricing, "getModelPricing");
+
+// Metadati di un modello; "live" = dati dal /models del provider (es. limiti token di Gemini)
+function getModelInfo(env, providerName, model, live = {}) {
+  const entry = findCatalogEntry(providerName, model) || {};
+  const kind = entry.kind || "chat";
+  const pricing = getModelPricing(env, providerName, model);
+  return {
+    kind,
+    context_window: live.context_window ?? entry.context_window ?? null,
+    max_output_tokens: live.max_output_tokens ?? entry.max_output_tokens ?? null,
+    capabilities: {
+      vision: supportsVision(providerName, model),
+      tools: kind === "chat" && entry.tools !== false,
+      streaming: kind === "chat" && !!PROVIDERS[providerName]?.supportsStreaming,
+      reasoning: live.reasoning ?? !!entry.reasoning
+    },
+    pricing: pricing ? { ...pricing, currency: "USD", unit: "1M tokens" } : null
+  };
+}
+__name(getModelInfo, "getModelInfo");
+
+// =========================
+// CONTEGGIO TOKEN E CONTEXT WINDOW (/v1/tokenize e guardia)
+// =========================
+// Il worker non include vocabolari: i token sono stimati con un profilo per famiglia di
+// tokenizer (caratteri per token sulle parole, cifre per token, token per carattere CJK,
+// overhead per messaggio) più costi fissi per immagini e definizioni di tool.
+// Guardia opzionale su /v1/chat/completions e /v1/responses: header "x-context-guard"
+// oppure campo body "context_guard" ("off" | "reject" | "trim"), default env CONTEXT_GUARD.
+//   reject -> 400 context_length_exceeded se il prompt stimato supera la finestra del modello
+//   trim   -> elimina i turni più vecchi (system/developer restano, l'ultimo turno mai),
+//             riportando i token eliminati negli header x-gateway-context-trimmed-*
+// La finestra è quella del modello richiesto (non dei fallback), meno i token riservati
+// all'output (max_tokens della richiesta o CONTEXT_GUARD_DEFAULT_RESERVE_TOKENS, più il
+// budget di reasoning) e un margine per l'errore della stima.
+const CONTEXT_GUARD_MODES = ["off", "reject", "trim"];
+const CONTEXT_GUARD_DEFAULT_RESERVE_TOKENS = 1024;
+const CONTEXT_GUARD_SAFETY_MARGIN = 0.05;
+
+const TOKENIZER_PROFILES = {
+  o200k: { chars_per_token: 4.4, digits_per_token: 3, cjk_tokens_per_char: 0.8, message_tokens: 3, reply_tokens: 3 },
+  cl100k: { chars_per_token: 4, digits_per_token: 3, cjk_tokens_per_char: 1.2, message_tokens: 3, reply_tokens: 3 },
+  claude: { chars_per_token: 3.6, digits_per_token: 3, cjk_tokens_per_char: 1.3, message_tokens: 4, reply_tokens: 3 },
+  llama3: { chars_per_token: 4.2, digits_per_token: 3, cjk_tokens_per_char: 1, message_tokens: 5, reply_tokens: 4 },
+  qwen: { chars_per_token: 4, digits_per_token: 1, cjk_tokens_per_char: 0.7, message_tokens: 5, reply_tokens: 3 },
+  gemini: { chars_per_token: 4.4, digits_per_token: 1, cjk_tokens_per_char: 0.7, message_tokens: 4, reply_tokens: 3 },
+  mistral: { chars_per_token: 4, digits_per_token: 1, cjk_tokens_per_char: 1, message_tokens: 4, reply_tokens: 1 },
+  deepseek: { chars_per_token: 4, digits_per_token: 1, cjk_tokens_per_char: 0.6, message_tokens: 4, reply_tokens: 2 },
+  grok: { chars_per_token: 4, digits_per_token: 3, cjk_tokens_per_char: 1, message_tokens: 4, reply_tokens: 3 }
+};
+
+// Tokenizer per provider: prima voce corrispondente vince (pattern come modelMatchesPattern)
+const TOKENIZER_FAMILIES = {
+  openai: [
+    { match: "gpt-3.5*", tokenizer: "cl100k" },
+    { match: "gpt-4-*", tokenizer: "cl100k" },
+    { match: "gpt-4", tokenizer: "cl100k" },
+    { match: "text-embedding-*", tokenizer: "cl100k" },
+    { match: "*", tokenizer: "o200k" }
+  ],
+  anthropic: [{ match: "*", tokenizer: "claude" }],
+  groq: [
+    { match: "openai/gpt-oss-*", tokenizer: "o200k" },
+    { match: "qwen/*", tokenizer: "qwen" },
+    { match: "*", tokenizer: "llama3" }
+  ],
+  mistral: [{ match: "*", tokenizer: "mistral" }],
+  xai: [{ match: "*", tokenizer: "grok" }],
+  gemini: [{ match: "*", tokenizer: "gemini" }],
+  deepseek: [{ match: "*", tokenizer: "deepseek" }],
+  perplexity: [{ match: "*", tokenizer: "llama3" }]
+};
+
+// Token per immagine (dimensione tipica; OpenAI: detail "low" a costo fisso)
+const IMAGE_TOKEN_ESTIMATES = { openai: 765, anthropic: 1600, gemini: 258 };
+const DEFAULT_IMAGE_TOKENS = 765;
+const OPENAI_LOW_DETAIL_IMAGE_TOKENS = 85;
+
+const CJK_CHAR_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+function resolveTokenizer(providerName, model) {
+  const entry = (TOKENIZER_FAMILIES[providerName] || []).find(candidate => modelMatchesPattern(model, candidate.match));
+  return entry?.tokenizer || "cl100k";
+}
+__name(resolveTokenizer, "resolveTokenizer");
+
+// Stima per pezzi (parole, numeri, punteggiatura, spazi) come il pre-tokenizer dei BPE
+function estimateTextTokens(text, profile) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(/[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]+|\s+/gu)) {
+    if (/^\s/.test(piece)) {
+      // Uno spazio singolo si fonde con la parola successiva
+      if (piece !== " ") tokens += 1;
+    } else if (/^\p{N}/u.test(piece)) {
+      tokens += Math.ceil(piece.length / profile.digits_per_token);
+    } else if (/^[\p{L}\p{M}]/u.test(piece)) {
+      const cjk = (piece.match(CJK_CHAR_PATTERN) || []).length;
+      const rest = piece.length - cjk;
+      tokens += Math.ceil(cjk * profile.cjk_tokens_per_char) + (rest ? Math.max(1, Math.round(rest / profile.chars_per_token)) : 0);
+    } else {
+      tokens += Math.ceil(piece.length / 2);
+    }
+  }
+  return tokens;
+}
+__name(estimateTextTokens, "estimateTextTokens");
+
+function estimateImageTokens(providerName, part) {
+  const detail = part.detail || part.image_url?.detail;
+  if (providerName === "openai" && detail === "low") return OPENAI_LOW_DETAIL_IMAGE_TOKENS;
+  return IMAGE_TOKEN_ESTIMATES[providerName] ?? DEFAULT_IMAGE_TOKENS;
+}
+__name(estimateImageTokens, "estimateImageTokens");
+
+// Token di un messaggio Chat (contenuto, immagini, tool_calls e overhead di formato)
+function estimateMessageTokens(message, providerName, profile) {
+  let tokens = profile.message_tokens;
+  const isImage = part => part && (part.type === "image_url" || part.type === "input_image" || part.type === "image");
+  if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      tokens += isImage(part) ? estimateImageTokens(providerName, part) : estimateTextTokens(contentToText([part]), profile);
+    }
+  } else if (message.content != null) {
+    tokens += estimateTextTokens(contentToText(message.content), profile);
+  }
+  if (message.name) tokens += estimateTextTokens(message.name, profile) + 1;
+  for (const call of message.tool_calls || []) {
+    tokens += 3 + estimateTextTokens(call.function?.name, profile) + estimateTextTokens(call.function?.arguments, profile);
+  }
+  return tokens;
+}
+__name(estimateMessageTokens, "estimateMessageTokens");
+
+// Parti del prompt di un payload Chat ("chat") o Responses ("responses"):
+// items = messaggi/input item eliminabili, fixedTokens = tool, schema e input non divisibili
+function promptTokenParts(body, format, providerName, model) {
+  const profile = TOKENIZER_PROFILES[resolveTokenizer(providerName, model)];
+  const messageTokens = message => estimateMessageTokens(message, providerName, profile);
+  let fixedTokens = profile.reply_tokens;
+  if (Array.isArray(body.tools) && body.tools.length) fixedTokens += estimateTextTokens(JSON.stringify(body.tools), profile);
+  const schema = body.response_format?.json_schema ?? body.text?.format?.schema;
+  if (schema) fixedTokens += estimateTextTokens(JSON.stringify(schema), profile);
+
+  if (format === "responses") {
+    if (body.instructions) fixedTokens += messageTokens({ role: "system", content: body.instructions });
+    const items = Array.isArray(body.input) ? body.input : [];
+    if (typeof body.input === "string") fixedTokens += messageTokens({ role: "user", content: body.input });
+    return {
+      items,
+      fixedTokens,
+      costs: items.map(item => transformResponsesRequestToChat({ input: [item] }).messages
+        .reduce((sum, message) => sum + messageTokens(message), 0))
+    };
+  }
+  const items = Array.isArray(body.messages) ? body.messages : [];
+  return { items, fixedTokens, costs: items.map(messageTokens) };
+}
+__name(promptTokenParts, "promptTokenParts");
+
+// Token riservati all'output: max_tokens richiesto (o default) più il budget di reasoning
+function reservedOutputTokens(env, body, providerName, model) {
+  const requested = body.max_completion_tokens ?? body.max_output_tokens ?? body.max_tokens;
+  const maxOutput = getModelInfo(env, providerName, model).max_output_tokens;
+  let reserved = Number.isInteger(requested) && requested > 0
+    ? requested
+    : Math.min(CONTEXT_GUARD_DEFAULT_RESERVE_TOKENS, maxOutput ?? CONTEXT_GUARD_DEFAULT_RESERVE_TOKENS);
+  const reasoning = resolveReasoningOption(body);
+  if (reasoning && reasoning.effort !== "none" && reasoningFamily(providerName, model)) reserved += reasoning.budgetTokens;
+  return reserved;
+}
+__name(reservedOutputTokens, "reservedOutputTokens");
+
+// Token disponibili per il prompt; null se la finestra del modello non è nota
+function promptTokenBudget(env, body, providerName, model) {
+  const contextWindow = getModelInfo(env, providerName, model).context_window;
+  if (!contextWindow) return null;
+  return Math.floor(contextWindow * (1 - CONTEXT_GUARD_SAFETY_MARGIN)) - reservedOutputTokens(env, body, providerName, model);
+}
+__name(promptTokenBudget, "promptTokenBudget");
+
+// Modalità della guardia: header x-context-guard > campo body context_guard > env CONTEXT_GUARD
+function resolveContextGuardMode(request, env, body) {
+  const mode = String(request.headers.get("x-context-guard") ?? body.context_guard ?? env.CONTEXT_GUARD ?? "off").toLowerCase();
+  return CONTEXT_GUARD_MODES.includes(mode) ? mode : null;
+}
+__name(resolveContextGuardMode, "resolveContextGuardMode");
+
+// Applica la guardia al payload già nel formato upstream ("chat" o "responses").
+// -> { body, report } oppure { error: Response }; report null se la guardia non è attiva
+function applyContextGuard(mode, env, body, format, providerName, model) {
+  if (mode === "off") return { body, report: null };
+  const budget = promptTokenBudget(env, body, providerName, model);
+  if (budget === null) return { body, report: null };
+
+  const { items, fixedTokens, costs } = promptTokenParts(body, format, providerName, model);
+  let promptTokens = fixedTokens + costs.reduce((sum, cost) => sum + cost, 0);
+  const dropped = new Set();
+  if (mode === "trim" && promptTokens > budget) {
+    // Turni: ogni messaggio user ne apre uno; i messaggi system/developer non si toccano
+    const turns = [];
+    items.forEach((item, index) => {
+      if (item?.role === "system" || item?.role === "developer") return;
+      if (item?.role === "user" || !turns.length) turns.push([]);
+      turns[turns.length - 1].push(index);
+    });
+    for (const turn of turns.slice(0, -1)) {
+      if (promptTokens <= budget) break;
+      for (const index of turn) {
+        dropped.add(index);
+        promptTokens -= costs[index];
+      }
+    }
+  }
+
+  if (promptTokens > budget) {
+    const contextWindow = getModelInfo(env, providerName, model).context_window;
+    return {
+      error: errorResponse(400, `This model's maximum context length is ${contextWindow} tokens. However, your request is estimated at ${promptTokens} prompt tokens, and ${contextWindow - budget} are reserved for the completion and the estimate margin. Please reduce the length of the messages.`, {
+        code: "context_length_exceeded",
+        param: format === "responses" ? "input" : "messages",
+        details: { prompt_tokens: promptTokens, prompt_token_budget: budget, context_window: contextWindow }
+      })
+    };
+  }
+
+  const trimmedTokens = [...dropped].reduce((sum, index) => sum + costs[index], 0);
+  const kept = items.filter((_, index) => !dropped.has(index));
+  const guarded = dropped.size ? { ...body, [format === "responses" ? "input" : "messages"]: kept } : body;
+  return { body: guarded, report: { prompt_tokens: promptTokens, trimmed_tokens: trimmedTokens, trimmed_messages: dropped.size } };
+}
+__name(applyContextGuard, "applyContextGuard");
+
+// Esito della guardia negli header della risposta (anche per gli stream)
+function setContextGuardHeaders(response, report) {
+  if (!report) return response;
+  response.headers.set("x-gateway-prompt-tokens-estimate", String(report.prompt_tokens));
+  response.headers.set("x-gateway-context-trimmed-tokens", String(report.trimmed_tokens));
+  response.headers.set("x-gateway-context-trimmed-messages", String(report.trimmed_messages));
+  return response;
+}
+__name(setContextGuardHeaders, "setContextGuardHeaders");
+
+// POST /v1/tokenize: { model, messages | input | text, tools?, instructions?, max_tokens? }
+// -> stima dei token del prompt e confronto con la finestra del modello (nessuna chiamata upstream)
+async function handleTokenizeEndpoint(request, env, client) {
+  try {
+    const body = JSON.parse(await request.text() || "{}");
+    if (!body.model) {
+      return errorResponse(400, "Model parameter is required", { param: "model" });
+    }
+    if (body.messages === undefined && body.input === undefined && typeof body.text !== "string") {
+      return errorResponse(400, "One of 'messages', 'input' or 'text' is required.", { param: "messages" });
+    }
+
+    const routing = await loadRoutingConfig(env);
+    const route = resolveModelRoute(routing, body.model, getProviderFromHeader(request));
+    if (route.error) return route.error;
+    const { providerName, model, alias } = route;
+    const accessError = checkModelAccess(client, providerName, model, alias);
+    if (accessError) return accessError;
+
+    const tokenizer = resolveTokenizer(providerName, model);
+    let promptTokens;
+    let itemTokens = null;
+    if (body.messages === undefined && body.input === undefined) {
+      promptTokens = estimateTextTokens(body.text, TOKENIZER_PROFILES[tokenizer]);
+    } else {
+      const format = body.messages !== undefined ? "chat" : "responses";
+      const { fixedTokens, costs } = promptTokenParts(body, format, providerName, model);
+      promptTokens = fixedTokens + costs.reduce((sum, cost) => sum + cost, 0);
+      itemTokens = costs;
+    }
+
+    const info = getModelInfo(env, providerName, model);
+    const budget = promptTokenBudget(env, body, providerName, model);
+    return new Response(JSON.stringify({
+      object: "token_count",
+      model,
+      provider: providerName,
+      tokenizer,
+      method: "estimate",
+      prompt_tokens: promptTokens,
+      ...(itemTokens ? { message_tokens: itemTokens } : {}),
+      context_window: info.context_window,
+      max_output_tokens: info.max_output_tokens,
+      reserved_output_tokens: reservedOutputTokens(env, body, providerName, model),
+      fits: budget === null ? null : promptTokens <= budget
+    }), {
+      status: 200,
+      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+    });
+  } catch (error) {
+    return internalErrorResponse(error);
+  }
+}
+__name(handleTokenizeEndpoint, "handleTokenizeEndpoint");
+
+// =========================
+// /v1/models (dinamico + aggregato)
+// =========================
+// Timeout per provider della lista modelli (env MODELS_TIMEOUT_MS)
+const DEFAULT_MODELS_TIMEOUT_MS = 5000;
+
+// Voce modello OpenAI + metadati; created dal provider se disponibile, altrimenti la data di
+// rilascio del catalogo (0 solo per modelli fuori catalogo: il campo è intero)
+function buildModelEntry(env, providerName, id, upstream = {}) {
+  const released = findCatalogEntry(providerName, id)?.released;
+  const createdAt = upstream.created ??
+    (upstream.created_at ? Math.floor(Date.parse(upstream.created_at) / 1000) : null) ??
+    (released ? Math.floor(Date.parse(released) / 1000) : null);
+  return {
+    id,
+    object: "model",
+    created: Number.isFinite(createdAt) ? createdAt : 0,
+    owned_by: providerName,
+    ...getModelInfo(env, providerName, id, {
+      context_window: upstream.context_window ?? upstream.inputTokenLimit,
+      max_output_tokens: upstream.max_output_tokens ?? upstream.outputTokenLimit,
+      reasoning: upstream.thinking
+    })
+  };
+}
+__name(buildModelEntry, "buildModelEntry");
+
+// Normalizza: alcune API ritornano {data: [...]}, altre la lista diretta, Gemini {models: [...]}
+function normalizeProviderModels(providerName, data, env = {}) {
+  let models = Array.isArray(data?.data) ? data.data : (Array.isArray(data) ? data : []);
+  if (Array.isArray(data?.models)) {
+    models = data.models.filter(m =>
+      !m.supportedGenerationMethods || m.supportedGenerationMethods.includes("generateContent")
+    );
+  }
+  return models.map(m =>
+    buildModelEntry(env, providerName, String(m.id || m.name || m.model || "unknown").replace(/^models\//, ""), m)
+  );
+}
+__name(normalizeProviderModels, "normalizeProviderModels");
+
+function staticProviderModels(providerName, env) {
+  return PROVIDERS[providerName].supportedModels.map(id => buildModelEntry(env, providerName, id));
+}
+__name(staticProviderModels, "staticProviderModels");
+
+// Lista modelli di un provider con timeout -> { status, models, latency_ms? }
+// status: "ok" (live), "not_configured" / "no_endpoint" / "error" / "timeout" (lista statica).
+// Il dettaglio dell'errore upstream va solo nei log, mai nella risposta al client.
+async function listModelsFromProvider(providerName, env) {
+  const provider = PROVIDERS[providerName];
+  const apiKey = env[provider.apiKeyEnv];
+  // Nessuna chiave/endpoint -> evita chiamata esterna
+  if (!apiKey) return { status: "not_configured", models: staticProviderModels(providerName, env) };
+  if (!provider.modelsUrl) return { status: "no_endpoint", models: staticProviderModels(providerName, env) };
+
+  const timeoutMs = Number(env.MODELS_TIMEOUT_MS) || DEFAULT_MODELS_TIMEOUT_MS;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const started = Date.now();
+  try {
+    const res = await fetch(provider.modelsUrl, {
+      method: "GET",
+      headers: buildProviderHeaders(providerName, apiKey),
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      await res.body?.cancel();
+      throw new Error(`HTTP ${res.status}`);
+    }
+    const models = normalizeProviderModels(providerName, await res.json(), env);
+    if (!models.length) throw new Error("Empty model list");
+    return { status: "ok", models, latency_ms: Date.now() - started };
+  } catch (err) {
+    const timedOut = controller.signal.aborted;
+    writeLog(env, {
+      level: "warn",
+      msg: "models_provider_failed",
+      provider: providerName,
+      error: timedOut ? `No response within ${timeoutMs} ms` : (err instanceof Error ? err.message : String(err))
+    });
+    return {
+      status: timedOut ? "timeout" : "error",
+      models: staticProviderModels(providerName, env),
+      latency_ms: Date.now() - started
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+__name(listModelsFromProvider, "listModelsFromProvider");
+
+async function handleModelsEndpoint(request, env, client) {
+  const url = new URL(request.url);
+  const headerProvider = (getProviderFromHeader(request) || "").toLowerCase();
+  const aggregate = url.searchParams.get("aggregate") === "1" || headerProvider === "all";
+
+  if (aggregate) {
+    // Lista completa in cache (TTL env MODELS_CACHE_TTL_SECONDS); gli scope sono applicati dopo
+    const cacheKey = "models:aggregate";
+    const bypassCache = isCacheBypassed(request);
+    let snapshot = bypassCache ? null : await readCachedResponse(env, cacheKey);
+    const cacheStatus = snapshot ? "HIT" : (bypassCache ? "BYPASS" : "MISS");
+
+    if (!snapshot) {
+      // Provider interrogati in parallelo; chi fallisce o va in timeout usa la lista statica
+      const providerNames = Object.keys(PROVIDERS);
+      const lookups = await Promise.all(providerNames.map(name => listModelsFromProvider(name, env)));
+      snapshot = { data: [], providers: {} };
+      providerNames.forEach((providerName, index) => {
+        const { models, ...status } = lookups[index];
+        snapshot.data.push(...models);
+        snapshot.providers[providerName] = {
+          ...status,
+          source: status.status === "ok" ? "live" : "static",
+          models: models.length
+        };
+      });
+      try {
+        const ttl = Number(env.MODELS_CACHE_TTL_SECONDS) || DEFAULT_MODELS_CACHE_TTL_SECONDS;
+        await getResponseCache(env).put(cacheKey, JSON.stringify(snapshot), { expirationTtl: ttl });
+      } catch {
+        // Cache non disponibile: la lista è comunque restituita
+      }
+    }
+
+    // Alias aggiunti dopo la cache: la configurazione di routing ha una sua cache
+    const aliases = aliasModelEntries(env, await loadRoutingConfig(env));
+    const allowedProviders = Object.keys(snapshot.providers).filter(name => isScopeAllowed(client, "providers", name));
+    const payload = {
+      object: "list",
+      data: [...snapshot.data, ...aliases].filter(m =>
+        allowedProviders.includes(m.owned_by) && isModelEntryAllowed(client, m)
+      ),
+      // Stato per provider: i risultati possono essere parziali (liste statiche)
+      providers: Object.fromEntries(allowedProviders.map(name => [name, snapshot.providers[name]]))
+    };
+    return new Response(JSON.stringify(payload), {
+      status: 200,
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "x-gateway-cache": cacheStatus
+      }
+    });
+  }
+
+  // Non aggregato: usa provider esplicito o default OpenAI
+  const providerName = headerProvider || "openai";
+  const provider = PROVIDERS[providerName];
+
+  if (!provider) {
+    return unsupportedProviderResponse(providerName, null);
+  }
+
+  if (!isScopeAllowed(client, "providers", providerName)) {
+    return errorResponse(403, `This API key is not allowed to use provider '${providerName}'.`, {
+      code: "provider_not_allowed"
+    });
+  }
+
+  // Singolo provider: stessa lista arricchita (live, o statica se manca chiave/endpoint o fallisce)
+  const { models, ...status } = await listModelsFromProvider(providerName, env);
+  const aliases = aliasModelEntries(env, await loadRoutingConfig(env)).filter(m => m.owned_by === providerName);
+  const payload = {
+    object: "list",
+    data: [...models, ...aliases].filter(m => isModelEntryAllowed(client, m)),
+    providers: { [providerName]: { ...status, source: status.status === "ok" ? "live" : "static", models: models.length } }
+  };
+  return new Response(JSON.stringify(payload), {
+    status: 200,
+    headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+  });
+}
+__name(handleModelsEndpoint, "handleModelsEndpoint");
+
+// =========================
+// /v1/audio/transcriptions e /v1/audio/translations (Whisper su Groq / OpenAI)
+// =========================
+// Limite upload configurabile con env AUDIO_MAX_UPLOAD_MB (default 25 MB, come OpenAI)
+const DEFAULT_AUDIO_MAX_UPLOAD_MB = 25;
+const AUDIO_RESPONSE_FORMATS = ["json", "text", "srt", "verbose_json", "vtt"];
+
+function getAudioProviderForModel(model) {
+  for (const [providerName, config] of Object.entries(PROVIDERS)) {
+    if ((config.audioModels || []).includes(model)) return providerName;
+  }
+  return (model || "").toLowerCase().startsWith("whisper-large") ? "groq" : "openai";
+}
+__name(getAudioProviderForModel, "getAudioProviderForModel");
+
+// Formati restituiti nativamente dal provider/modello
+function nativeAudioFormats(providerName, model) {
+  if (providerName === "openai") {
+    return model === "whisper-1" ? AUDIO_RESPONSE_FORMATS : ["json", "text"];
+  }
+  return ["json", "text", "verbose_json"];
+}
+__name(nativeAudioFormats, "nativeAudioFormats");
+
+// Secondi -> "hh:mm:ss,mmm" (SRT) o "hh:mm:ss.mmm" (VTT)
+function formatSubtitleTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+__name(formatSubtitleTimestamp, "formatSubtitleTimestamp");
+
+// segments di una risposta verbose_json -> sottotitoli SRT/VTT
+function segmentsToSubtitles(segments, format) {
+  const separator = format === "vtt" ? "." : ",";
+  const cues = (segments || []).map((segment, index) => {
+    const timing = `${formatSubtitleTimestamp(segment.start, separator)} --> ${formatSubtitleTimestamp(segment.end, separator)}`;
+    const text = String(segment.text || "").trim();
+    return format === "vtt" ? `${timing}\n${text}` : `${index + 1}\n${timing}\n${text}`;
+  });
+  const body = cues.join("\n\n") + "\n";
+  return format === "vtt" ? `WEBVTT\n\n${body}` : body;
+}
+__name(segmentsToSubtitles, "segmentsToSubtitles");
+
+// Corpo multipart letto contando i byte: il limite vale anche senza Content-Length (upload
+// chunked), senza bufferizzare l'intero corpo prima del controllo.
+// -> FormData, null se oltre maxBytes; errore se il corpo non è multipart valido
+async function readLimitedFormData(request, maxBytes) {
+  if (Number(request.headers.get("Content-Length") || 0) > maxBytes) return null;
+  const chunks = [];
+  let received = 0;
+  if (request.body) {
+    const reader = request.body.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      received += value.byteLength;
+      if (received > maxBytes) {
+        await reader.cancel().catch(() => {});
+        return null;
+      }
+      chunks.push(value);
+    }
+  }
+  return new Response(new Blob(chunks), {
+    headers: { "Content-Type": request.headers.get("Content-Type") || "" }
+  }).formData();
+}
+__name(readLimitedFormData, "readLimitedFormData");
+
+async function handleAudioEndpoint(request, env, client, kind, meter) {
+  try {
+    const maxMb = Number(env.AUDIO_MAX_UPLOAD_MB) || DEFAULT_AUDIO_MAX_UPLOAD_MB;
+    const maxBytes = maxMb * 1024 * 1024;
+    const tooLarge = () => errorResponse(413, `Audio file exceeds the ${maxMb} MB upload limit.`, {
+      code: "file_too_large", param: "file"
+    });
+
+    // Upload oltre il limite rifiutati durante la lettura (dichiarati o chunked)
+    let form;
+    try {
+      form = await readLimitedFormData(request, maxBytes);
+    } catch {
+      return errorResponse(400, "Request body must be multipart/form-data.", { code: "invalid_body" });
+    }
+    if (!form) return tooLarge();
+
+    const file = form.get("file");
+    if (!file || typeof file === "string") {
+      return errorResponse(400, "An audio 'file' field is required.", { param: "file" });
+    }
+    if (file.size > maxBytes) return tooLarge();
+
+    const model = form.get("model");
+    if (!model) {
+      return errorResponse(400, "Model parameter is required", { param: "model" });
+    }
+
+    const explicitProvider = (getProviderFromHeader(request) || "").toLowerCase();
+    const providerName = explicitProvider || getAudioProviderForModel(model);
+    const provider = PROVIDERS[providerName];
+    const upstreamUrl = kind === "translations" ? provider?.translationsUrl : provider?.transcriptionsUrl;
+    if (!upstreamUrl) {
+      return errorResponse(400, `Provider '${providerName}' does not support audio ${kind}.`, {
+        code: "unsupported_provider"
+      });
+    }
+
+    const accessError = checkModelAccess(client, providerName, model);
+    if (accessError) return accessError;
+
+    const responseFormat = form.get("response_format") || "json";
+    if (!AUDIO_RESPONSE_FORMATS.includes(responseFormat)) {
+      return errorResponse(400, `Unsupported response_format '${responseFormat}'. Use one of: ${AUDIO_RESPONSE_FORMATS.join(", ")}.`, {
+        param: "response_format"
+      });
+    }
+    // srt/vtt non nativi: si chiede verbose_json e si convertono i segmenti
+    const nativeFormats = nativeAudioFormats(providerName, model);
+    let upstreamFormat = responseFormat;
+    if (!nativeFormats.includes(responseFormat)) {
+      if ((responseFormat === "srt" || responseFormat === "vtt") && nativeFormats.includes("verbose_json")) {
+        upstreamFormat = "verbose_json";
+      } else {
+        return errorResponse(400, `Model ${model} does not support response_format '${responseFormat}'.`, {
+          param: "response_format"
+        });
+      }
+    }
+
+    const apiKey = env[provider.apiKeyEnv];
+    if (!apiKey) {
+      return missingProviderKeyResponse(providerName);
+    }
+
+    const limited = await enforceRateLimits(env, client, providerName);
+    if (limited) return limited;
+
+    const upstreamForm = new FormData();
+    for (const [key, value] of form.entries()) {
+      if (key === "response_format") continue;
+      if (key === "timestamp_granularities[]" && upstreamFormat !== "verbose_json") continue;
+      upstreamForm.append(key, value);
+    }
+    upstreamForm.append("response_format", upstreamFormat);
+    if (upstreamFormat !== responseFormat && !form.getAll("timestamp_granularities[]").length) {
+      upstreamForm.append("timestamp_granularities[]", "segment");
+    }
+
+    meter.trace?.debugUpstream(providerName, upstreamUrl, Object.fromEntries(
+      [...upstreamForm.entries()].map(([key, value]) => [key, typeof value === "string" ? value : `[file ${value.size} bytes]`])
+    ));
+    let resp;
+    try {
+      resp = await fetchUpstream(upstreamUrl, {
+        method: "POST",
+        headers: buildProviderHeaders(providerName, apiKey, meter.requestId),
+        body: upstreamForm
+      }, resolveUpstreamPolicy(env, providerName, meter.route));
+    } catch (err) {
+      return upstreamUnreachableResponse(providerName, err);
+    }
+
+    const corsHeaders = {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, x-provider"
+    };
+
+    if (!resp.ok) {
+      await meter.record({ provider: providerName, model, status: resp.status });
+      return providerErrorResponse(providerName, resp);
+    }
+
+    if (upstreamFormat !== responseFormat) {
+      const verbose = await resp.json();
+      await meter.record({ provider: providerName, model, usage: verbose.usage });
+      return new Response(segmentsToSubtitles(verbose.segments, responseFormat), {
+        status: 200,
+        headers: { "Content-Type": responseFormat === "vtt" ? "text/vtt" : "text/plain", ...corsHeaders }
+      });
+    }
+
+    if (upstreamFormat === "json" || upstreamFormat === "verbose_json") {
+      const data = await resp.json();
+      await meter.record({ provider: providerName, model, usage: data.usage });
+      return new Response(JSON.stringify(data), {
+        status: resp.status,
+        headers: { "Content-Type": "application/json", ...corsHeaders }
+      });
+    }
+    await meter.record({ provider: providerName, model });
+    return new Response(resp.body, {
+      status: resp.status,
+      statusText: resp.statusText,
+      headers: {
+        "Content-Type": resp.headers.get("Content-Type") || "text/plain",
+        ...corsHeaders
+      }
+    });
+  } catch (error) {
+    return internalErrorResponse(error);
+  }
+}
+__name(handleAudioEndpoint, "handleAudioEndpoint");
+
+// =========================
+// /v1/embeddings (OpenAI / Mistral, con batching)
+// =========================
+function getEmbeddingProviderForModel(model) {
+  for (const [providerName, config] of Object.entries(PROVIDERS)) {
+    if ((config.embeddingModels || []).includes(model)) return providerName;
+  }
+  return (model || "").toLowerCase().includes("mistral") ? "mistral" : "openai";
+}
+__name(getEmbeddingProviderForModel, "getEmbeddingProviderForModel");
+
+// Esegue fn su tutti gli elementi con al massimo "limit" chiamate in parallelo (ordine preservato)
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+__name(mapWithConcurrency, "mapWithConcurrency");
+
+// Vettore float -> base64 di Float32 little-endian (stesso formato di encoding_format: "base64" OpenAI)
+function encodeEmbeddingBase64(vector) {
+  const bytes = new Uint8Array(new Float32Array(vector).buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+__name(encodeEmbeddingBase64, "encodeEmbeddingBase64");
+
+const EMBEDDINGS_CONCURRENCY = 4;
+
+async function handleEmbeddingsEndpoint(request, env, client, meter) {
+  try {
+    const bodyText = await request.text();
+    const body = JSON.parse(bodyText || "{}");
+    const model = body.model;
+
+    if (!model) {
+      return errorResponse(400, "Model parameter is required", { param: "model" });
+    }
+    // Stringa singola, array di stringhe o array di token (number[] / number[][])
+    const isSingleTokenArray = Array.isArray(body.input) && body.input.length && typeof body.input[0] === "number";
+    const inputs = typeof body.input === "string" || isSingleTokenArray
+      ? [body.input]
+      : (Array.isArray(body.input) ? body.input : []);
+    if (!inputs.length) {
+      return errorResponse(400, "'input' must be a non-empty string or array.", { param: "input" });
+    }
+
+    const explicitProvider = (getProviderFromHeader(request) || "").toLowerCase();
+    const providerName = explicitProvider || getEmbeddingProviderForModel(model);
+    const provider = PROVIDERS[providerName];
+    if (!provider?.embeddingsUrl) {
+      return errorResponse(400, `Provider '${providerName}' does not support embeddings.`, {
+        code: "unsupported_provider"
+      });
+    }
+
+    const accessError = checkModelAccess(client, providerName, model);
+    if (accessError) return accessError;
+
+    if (body.dimensions !== undefined &&
+        !(provider.embeddingDimensionModels || []).some(pattern => modelMatchesPattern(model, pattern))) {
+      return errorResponse(400, `Model '${model}' does not support the 'dimensions' parameter.`, {
+        code: "unsupported_parameter", param: "dimensions"
+      });
+    }
+
+    const apiKey = env[provider.apiKeyEnv];
+    if (!apiKey) {
+      return missingProviderKeyResponse(providerName);
+    }
+
+    const limited = await enforceRateLimits(env, client, providerName);
+    if (limited) return limited;
+
+    // OpenAI codifica in base64 da sé; per gli altri si chiedono float e si codifica qui
+    const wantsBase64 = body.encoding_format === "base64";
+    const encodeLocally = wantsBase64 && providerName !== "openai";
+
+    const batchSize = provider.embeddingBatchSize || 100;
+    const batches = [];
+    for (let start = 0; start < inputs.length; start += batchSize) {
+      batches.push({ start, input: inputs.slice(start, start + batchSize) });
+    }
+
+    const headers = {
+      "Content-Type": "application/json",
+      ...buildProviderHeaders(providerName, apiKey, meter.requestId)
+    };
+    const policy = resolveUpstreamPolicy(env, providerName, meter.route);
+
+    const results = await mapWithConcurrency(batches, EMBEDDINGS_CONCURRENCY, async (batch) => {
+      const payload = { model, input: batch.input };
+      if (providerName === "openai") {
+        if (typeof body.dimensions === "number") payload.dimensions = body.dimensions;
+        if (body.encoding_format) payload.encoding_format = body.encoding_format;
+        if (body.user) payload.user = body.user;
+      } else if (typeof body.dimensions === "number") {
+        payload.output_dimension = body.dimensions;
+      }
+      meter.trace?.debugUpstream(providerName, provider.embeddingsUrl, payload);
+      try {
+        const resp = await fetchUpstream(provider.embeddingsUrl, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(payload)
+        }, policy);
+        return { batch, resp, data: resp.ok ? await resp.json() : null };
+      } catch (error) {
+        return { batch, error };
+      }
+    });
+
+    // Primo errore upstream (rete/timeout o HTTP), normalizzato
+    const unreachable = results.find(r => r.error);
+    if (unreachable) {
+      await Promise.all(results.map(r => r.resp && !r.data ? r.resp.body?.cancel() : null));
+      return upstreamUnreachableResponse(providerName, unreachable.error);
+    }
+    const failed = results.find(r => !r.resp.ok);
+    if (failed) {
+      await meter.record({ provider: providerName, model, status: failed.resp.status });
+      return providerErrorResponse(providerName, failed.resp);
+    }
+
+    // Riassembla nell'ordine originale (index relativo al batch + offset)
+    const data = [];
+    let promptTokens = 0;
+    let totalTokens = 0;
+    for (const { batch, data: batchData } of results) {
+      for (const item of batchData.data || []) {
+        data.push({
+          object: "embedding",
+          index: batch.start + (item.index ?? 0),
+          embedding: encodeLocally ? encodeEmbeddingBase64(item.embedding) : item.embedding
+        });
+      }
+      promptTokens += batchData.usage?.prompt_tokens || 0;
+      totalTokens += batchData.usage?.total_tokens || batchData.usage?.prompt_tokens || 0;
+    }
+    data.sort((a, b) => a.index - b.index);
+
+    const usage = { prompt_tokens: promptTokens, total_tokens: totalTokens };
+    await meter.record({ provider: providerName, model, usage });
+
+    return new Response(JSON.stringify({
+      object: "list",
+      data,
+      model: results[0]?.data?.model || model,
+      usage
+    }), {
+      status: 200,
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization, x-provider"
+      }
+    });
+  } catch (error) {
+    return internalErrorResponse(error);
+  }
+}
+__name(handleEmbeddingsEndpoint, "handleEmbeddingsEndpoint");
+
+// =========================
+// CACHE RISPOSTE (richieste deterministiche)
+// =========================
+// Opt-in con env RESPONSE_CACHE_TTL_SECONDS (> 0): le richieste con temperature: 0 sono
+// salvate come "resp:<endpoint>:<sha256>" nel KV RESPONSE_CACHE (o stand-in in memoria).
+// La chiave è l'hash del JSON normalizzato (chiavi ordinate) di provider, modello e corpo,
+// senza stream/stream_options: una risposta salvata può essere riprodotta come SSE.
+// Bypass per richiesta: header "x-gateway-cache: bypass" o "Cache-Control: no-cache".
+const DEFAULT_MODELS_CACHE_TTL_SECONDS = 5 * 60;
+const localResponseCache = createMemoryKV();
+
+function getResponseCache(env) {
+  return env.RESPONSE_CACHE || localResponseCache;
+}
+__name(getResponseCache, "getResponseCache");
+
+// JSON con chiavi ordinate: richieste equivalenti producono la stessa chiave
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+__name(stableStringify, "stableStringify");
+
+function isCacheBypassed(request) {
+  const directive = (request.headers.get("x-gateway-cache") || "").toLowerCase();
+  const cacheControl = (request.headers.get("Cache-Control") || "").toLowerCase();
+  return directive === "bypass" || /no-cache|no-store/.test(cacheControl);
+}
+__name(isCacheBypassed, "isCacheBypassed");
+
+// Esclusi i client con policy di contenuto: un HIT salterebbe moderazione e mascheramento
+function isCacheableRequest(env, client, body) {
+  return Number(env.RESPONSE_CACHE_TTL_SECONDS) > 0 && body.temperature === 0 && !resolveContentPolicy(env, client);
+}
+__name(isCacheableRequest, "isCacheableRequest");
+
+// Chiave per client: scope, quote e policy di contenuto restano quelli della chiave chiamante
+async function responseCacheKey(endpoint, client, providerName, model, body) {
+  const { stream, stream_options, ...rest } = body;
+  const input = { client: client?.id || null, provider: providerName, model, body: rest };
+  return `resp:${endpoint}:${await sha256Hex(stableStringify(input))}`;
+}
+__name(responseCacheKey, "responseCacheKey");
+
+async function readCachedResponse(env, key) {
+  try {
+    return await getResponseCache(env).get(key, "json");
+  } catch {
+    return null;
+  }
+}
+__name(readCachedResponse, "readCachedResponse");
+
+async function writeCachedResponse(env, key, record) {
+  try {
+    await getResponseCache(env).put(key, JSON.stringify(record), {
+      expirationTtl: Number(env.RESPONSE_CACHE_TTL_SECONDS)
+    });
+  } catch {
+    // La cache non deve mai far fallire la richiesta
+  }
+}
+__name(writeCachedResponse, "writeCachedResponse");
+
+// Risposta Chat completa -> evento SSE chat.completion.chunk equivalente (replay da cache)
+function chatCompletionToSSE(data) {
+  const base = {
+    id: data.id || `chatcmpl-${Date.now()}`,
+    object: "chat.completion.chunk",
+    created: data.created || Math.floor(Date.now() / 1000),
+    model: data.model
+  };
+  const events = [];
+  for (const choice of data.choices || []) {
+    const message = choice.message || {};
+    const delta = { role: "assistant", content: message.content ?? "" };
+    if (message.reasoning_content) delta.reasoning_content = message.reasoning_content;
+    if (message.tool_calls) {
+      delta.tool_calls = message.tool_calls.map((call, index) => ({ index, ...call }));
+    }
+    events.push({ ...base, choices: [{ index: choice.index ?? 0, delta, finish_reason: null }] });
+    events.push({ ...base, choices: [{ index: choice.index ?? 0, delta: {}, finish_reason: choice.finish_reason || "stop" }] });
+  }
+  if (data.usage) events.push({ ...base, choices: [], usage: data.usage });
+  return events.map(formatSSEData).join("") + formatSSEData("[DONE]");
+}
+__name(chatCompletionToSSE, "chatCompletionToSSE");
+
+// Risposta servita dalla cache (JSON o replay SSE)
+function cachedResponse(record, { stream = false } = {}) {
+  const headers = {
+    "Content-Type": stream ? "text/event-stream" : "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, x-provider",
+    "x-gateway-cache": "HIT"
+  };
+  if (record.servedBy) headers["x-gateway-served-by"] = record.servedBy;
+  const payload = stream ? chatCompletionToSSE(record.response) : JSON.stringify(record.response);
+  return new Response(payload, { status: 200, headers });
+}
+__name(cachedResponse, "cachedResponse");
+
+// =========================
+// CONVERSAZIONI (previous_response_id per provider senza stato)
+// =========================
+// Ogni turno è salvato come "conv:<response id>" -> { client, messages } (senza system)
+// nel KV CONVERSATIONS, o in uno stand-in in memoria. TTL: env CONVERSATION_TTL_SECONDS.
+// Con una policy PII attiva i turni sono salvati mascherati (segnaposto, mai i valori in chiaro).
+const DEFAULT_CONVERSATION_TTL_SECONDS = 30 * 24 * 60 * 60;
+const localConversationStore = createMemoryKV();
+
+function getConversationStore(env) {
+  return env.CONVERSATIONS || localConversationStore;
+}
+__name(getConversationStore, "getConversationStore");
+
+// Cronologia di una risposta precedente; null se scaduta, assente o di un altro client
+async function loadConversation(env, client, responseId) {
+  const record = await getConversationStore(env).get(`conv:${responseId}`, "json");
+  if (!record || record.client !== (client?.id || null)) return null;
+  return record.messages || [];
+}
+__name(loadConversation, "loadConversation");
+
+async function saveConversation(env, client, responseId, messages) {
+  const ttl = Number(env.CONVERSATION_TTL_SECONDS) || DEFAULT_CONVERSATION_TTL_SECONDS;
+  const record = { client: client?.id || null, messages: messages.filter(m => m.role !== "system") };
+  await getConversationStore(env).put(`conv:${responseId}`, JSON.stringify(record), { expirationTtl: ttl });
+}
+__name(saveConversation, "saveConversation");
+
+// =========================
+// PII E MODERAZIONE (hook pre-richiesta e post-risposta)
+// =========================
+// Policy per chiave client (record KV "content_policy") oppure default da env
+// DEFAULT_CONTENT_POLICY (JSON):
+//   { "pii": true | ["email", "phone", "iban", "fiscal_code"], "phone_regions": ["it", "us", ...],
+//     "moderation": "block" | "flag" |
+//       { "mode": "block" | "flag", "model": "omni-moderation-latest", "fail_closed": true } }
+// PII: prima dell'invio upstream i valori nei campi di testo diventano segnaposto
+// ("[EMAIL_1]"; stesso valore -> stesso segnaposto). La mappa vive solo nella richiesta e i
+// segnaposto sono ripristinati nella risposta, anche negli stream (un segnaposto spezzato
+// tra due chunk viene trattenuto fino al chunk successivo).
+// Moderazione dell'ultimo turno utente (già mascherato): /v1/moderations OpenAI oppure
+// llama-guard-4 su Groq ("model": "meta-llama/llama-guard-4-12b"). "block" -> 400
+// content_policy_violation; "flag" -> richiesta inoltrata con header x-gateway-moderation.
+// Telefoni: con prefisso internazionale ("+" o "00") sempre; senza, solo nei formati nazionali
+// delle regioni in "phone_regions" (default ["it"]; disponibili it, us, gb, fr, de, es).
+// Se la moderazione non risponde (chiave assente, errore HTTP): con "block" la richiesta è
+// rifiutata con 503 moderation_unavailable, salvo "fail_closed": false; con "flag" passa
+// comunque (esito "error"). Con una policy attiva la cache delle risposte non si usa.
+const PII_TYPES = ["email", "phone", "iban", "fiscal_code"];
+const DEFAULT_MODERATION_MODEL = "omni-moderation-latest";
+const PII_PLACEHOLDER_PATTERN = /\[(?:EMAIL|PHONE|IBAN|FISCAL_CODE)_\d+\]/g;
+// Inizio di segnaposto non ancora chiuso in fondo a un delta
+const PII_PARTIAL_PLACEHOLDER = /\[[A-Z_]{0,12}\d{0,6}$/;
+const DEFAULT_PHONE_REGIONS = ["it"];
+// Numeri nazionali senza prefisso internazionale (solo cifre) per regione
+const PHONE_NATIONAL_PATTERNS = {
+  it: /^(?:3\d{8,9}|0\d{5,10})$/,
+  us: /^1?[2-9]\d{2}[2-9]\d{6}$/,
+  gb: /^0[1-37]\d{8,9}$/,
+  fr: /^0[1-9]\d{8}$/,
+  de: /^0[1-9]\d{5,12}$/,
+  es: /^[6-9]\d{8}$/
+};
+// Campi di testo mascherati (come PROMPT_FIELDS, senza url/data di immagini e file)
+const PII_TEXT_FIELDS = new Set(["content", "text", "input", "instructions", "prompt", "system", "arguments", "output"]);
+
+// Categorie MLCommons restituite da llama-guard ("unsafe\nS1,S10")
+const LLAMA_GUARD_CATEGORIES = {
+  S1: "violent_crimes", S2: "non_violent_crimes", S3: "sex_related_crimes", S4: "child_sexual_exploitation",
+  S5: "defamation", S6: "specialized_advice", S7: "privacy", S8: "intellectual_property",
+  S9: "indiscriminate_weapons", S10: "hate", S11: "suicide_self_harm", S12: "sexual_content",
+  S13: "elections", S14: "code_interpreter_abuse"
+};
+
+// Valori dispari del carattere di controllo del codice fiscale (posizioni 1, 3, 5, ...)
+const FISCAL_CODE_ODD_VALUES = {
+  0: 1, 1: 0, 2: 5, 3: 7, 4: 9, 5: 13, 6: 15, 7: 17, 8: 19, 9: 21,
+  A: 1, B: 0, C: 5, D: 7, E: 9, F: 13, G: 15, H: 17, I: 19, J: 21, K: 2, L: 4, M: 18,
+  N: 20, O: 11, P: 3, Q: 6, R: 8, S: 12, T: 14, U: 16, V: 10, W: 22, X: 25, Y: 24, Z: 23
+};
+
+// IBAN: checksum mod 97 (ISO 13616) sul valore senza spazi
+function isValidIban(value) {
+  const iban = value.replace(/ /g, "").toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+  let remainder = 0;
+  for (const char of iban.slice(4) + iban.slice(0, 4)) {
+    const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+__name(isValidIban, "isValidIban");
+
+// Codice fiscale: carattere di controllo (anche con omocodia)
+function isValidFiscalCode(value) {
+  const code = value.toUpperCase();
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    const char = code[i];
+    sum += i % 2 === 0
+      ? FISCAL_CODE_ODD_VALUES[char]
+      : (/\d/.test(char) ? Number(char) : char.charCodeAt(0) - 65);
+  }
+  return String.fromCharCode(65 + sum % 26) === code[15];
+}
+__name(isValidFiscalCode, "isValidFiscalCode");
+
+// Con prefisso internazionale 8-15 cifre; senza, formato nazionale di una delle regioni,
+// mai importi con separatore delle migliaia ("300.000.000")
+function isPhoneNumber(value, regions) {
+  const digits = value.replace(/\D/g, "");
+  if (/^(?:\+|00)/.test(value)) return digits.length >= 8 && digits.length <= 15;
+  if (/^\d{1,3}(?:\.\d{3})+$/.test(value)) return false;
+  return regions.some(region => PHONE_NATIONAL_PATTERNS[region]?.test(digits));
+}
+__name(isPhoneNumber, "isPhoneNumber");
+
+// Rilevatori in ordine di applicazione; accept(match, options) -> porzione iniziale da mascherare o null
+const PII_DETECTORS = [
+  {
+    type: "email",
+    label: "EMAIL",
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+  },
+  {
+    type: "iban",
+    label: "IBAN",
+    pattern: /\b[A-Z]{2}\d{2}(?:[A-Z0-9]{11,30}|(?: [A-Z0-9]{4}){2,7}(?: [A-Z0-9]{1,4})?)\b/g,
+    // Scritto a gruppi può inglobare una parola successiva: si accorcia finché il checksum torna
+    accept(match) {
+      for (let candidate = match; candidate.replace(/ /g, "").length >= 15; candidate = candidate.slice(0, candidate.lastIndexOf(" "))) {
+        if (isValidIban(candidate)) return candidate;
+        if (!candidate.includes(" ")) return null;
+      }
+      return null;
+    }
+  },
+  {
+    type: "fiscal_code",
+    label: "FISCAL_CODE",
+    pattern: /\b[A-Z]{6}[0-9LMNPQRSTUV]{2}[ABCDEHLMPRST][0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{3}[A-Z]\b/gi,
+    accept: match => (isValidFiscalCode(match) ? match : null)
+  },
+  {
+    type: "phone",
+    label: "PHONE",
+    pattern: /(?<![\w+@])(?:(?:\+|00)[1-9]\d{0,2}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{1,4}){1,5}(?![\w@])/g,
+    // A gruppi può inglobare un numero successivo: si tolgono gruppi finali finché il numero è valido
+    accept(match, options) {
+      for (let candidate = match; ;) {
+        if (isPhoneNumber(candidate, options.phoneRegions)) return candidate;
+        const cut = candidate.search(/[ .-]\d+$/);
+        if (cut <= 0) return null;
+        candidate = candidate.slice(0, cut);
+      }
+    }
+  }
+];
+
+// Mascheratore per richiesta: placeholders = segnaposto -> valore originale.
+// options.counters: ultimo numero già usato per etichetta (segnaposto presenti nella cronologia)
+function createPiiMasker(types, options = { phoneRegions: DEFAULT_PHONE_REGIONS }) {
+  const byValue = new Map();
+  const placeholders = new Map();
+  const counters = { ...options.counters };
+  const detectors = PII_DETECTORS.filter(detector => types.includes(detector.type));
+  const mask = text => detectors.reduce((masked, detector) => masked.replace(detector.pattern, match => {
+    const value = detector.accept ? detector.accept(match, options) : match;
+    if (!value) return match;
+    let placeholder = byValue.get(value);
+    if (!placeholder) {
+      counters[detector.label] = (counters[detector.label] || 0) + 1;
+      placeholder = `[${detector.label}_${counters[detector.label]}]`;
+      byValue.set(value, placeholder);
+      placeholders.set(placeholder, value);
+    }
+    return placeholder + match.slice(value.length);
+  }), text);
+  return { mask, placeholders };
+}
+__name(createPiiMasker, "createPiiMasker");
+
+// Numero più alto per etichetta tra i segnaposto già nel payload (turni salvati mascherati):
+// i nuovi valori ricevono numeri successivi e non si confondono con quelli della cronologia
+function existingPlaceholderCounters(body) {
+  const counters = {};
+  for (const placeholder of JSON.stringify(body).match(PII_PLACEHOLDER_PATTERN) || []) {
+    const [, label, number] = placeholder.match(/^\[(.+)_(\d+)\]$/);
+    counters[label] = Math.max(counters[label] || 0, Number(number));
+  }
+  return counters;
+}
+__name(existingPlaceholderCounters, "existingPlaceholderCounters");
+
+// Copia del payload con i campi di testo mascherati (stessa visita di redactForLog)
+function maskPromptFields(value, mask, key = null) {
+  if (typeof value === "string") {
+    return key && PII_TEXT_FIELDS.has(key) ? mask(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => maskPromptFields(item, mask, typeof item === "object" ? null : key));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([field, child]) => [field, maskPromptFields(child, mask, field)]));
+  }
+  return value;
+}
+__name(maskPromptFields, "maskPromptFields");
+
+function restorePlaceholderText(text, placeholders) {
+  return text.replace(PII_PLACEHOLDER_PATTERN, placeholder => placeholders.get(placeholder) ?? placeholder);
+}
+__name(restorePlaceholderText, "restorePlaceholderText");
+
+// Risposta non-stream (qualunque formato): segnaposto -> valori originali in tutte le stringhe
+function restorePlaceholders(value, placeholders) {
+  if (typeof value === "string") return restorePlaceholderText(value, placeholders);
+  if (Array.isArray(value)) return value.map(item => restorePlaceholders(item, placeholders));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([field, child]) => [field, restorePlaceholders(child, placeholders)]));
+  }
+  return value;
+}
+__name(restorePlaceholders, "restorePlaceholders");
+
+// Ripristino sugli stream: chunk Chat (content, reasoning_content, arguments delle tool call)
+// ed eventi Responses API (*.delta). transform(payload) -> payload da inoltrare, nell'ordine;
+// il testo trattenuto esce con il finish_reason della choice, prima degli eventi finali
+// Responses o come chunk a sé prima di [DONE] / a fine stream (flush)
+function createPiiStreamRestorer(placeholders) {
+  const pending = new Map();
+  const push = (key, text, makePayload, final = false) => {
+    const buffered = (pending.get(key)?.text || "") + text;
+    const partial = final ? null : PII_PARTIAL_PLACEHOLDER.exec(buffered);
+    const kept = partial ? partial[0] : "";
+    if (kept) pending.set(key, { text: kept, makePayload });
+    else pending.delete(key);
+    return restorePlaceholderText(buffered.slice(0, buffered.length - kept.length), placeholders);
+  };
+  const flush = () => {
+    const payloads = [...pending.values()].map(({ text, makePayload }) => makePayload(restorePlaceholderText(text, placeholders)));
+    pending.clear();
+    return payloads;
+  };
+
+  const transformChatChunk = (payload) => {
+    const { choices, usage, ...template } = payload;
+    for (const choice of choices) {
+      const delta = choice.delta || (choice.delta = {});
+      const final = !!choice.finish_reason;
+      const chunkWith = restDelta => ({ ...template, choices: [{ index: choice.index, delta: restDelta, finish_reason: null }] });
+      for (const field of ["content", "reasoning_content"]) {
+        const key = `${choice.index}:${field}`;
+        if (typeof delta[field] === "string" || (final && pending.has(key))) {
+          delta[field] = push(key, delta[field] || "", text => chunkWith({ [field]: text }), final);
+        }
+      }
+      const calls = delta.tool_calls || [];
+      for (const call of calls) {
+        if (typeof call.function?.arguments !== "string") continue;
+        const key = `${choice.index}:tool:${call.index}`;
+        call.function.arguments = push(key, call.function.arguments,
+          text => chunkWith({ tool_calls: [{ index: call.index, function: { arguments: text } }] }), final);
+      }
+      if (final) {
+        // Tool call senza delta in questo chunk: il testo trattenuto si aggiunge qui
+        for (const [key, { text }] of [...pending]) {
+          const match = key.match(new RegExp(`^${choice.index}:tool:(\\d+)$`));
+          if (!match) continue;
+          pending.delete(key);
+          calls.push({ index: Number(match[1]), function: { arguments: restorePlaceholderText(text, placeholders) } });
+        }
+        if (calls.length) delta.tool_calls = calls;
+      }
+    }
+    return [payload];
+  };
+
+  return {
+    transform(payload) {
+      if (!payload || typeof payload !== "object") return [...flush(), payload];
+      if (Array.isArray(payload.choices)) return transformChatChunk(payload);
+      if (typeof payload.type === "string" && payload.type.endsWith(".delta") && typeof payload.delta === "string") {
+        const key = `${payload.type}:${payload.item_id ?? payload.output_index}:${payload.content_index ?? ""}`;
+        payload.delta = push(key, payload.delta, text => ({ ...payload, delta: text }));
+        // Delta interamente trattenuto: nessun evento vuoto
+        return payload.delta ? [payload] : [];
+      }
+      return [...flush(), restorePlaceholders(payload, placeholders)];
+    },
+    flush
+  };
+}
+__name(createPiiStreamRestorer, "createPiiStreamRestorer");
+
+// Policy effettiva del client (record o env DEFAULT_CONTENT_POLICY); null se nessun hook attivo
+function resolveContentPolicy(env, client) {
+  let policy = client?.content_policy;
+  if (!policy && env.DEFAULT_CONTENT_POLICY) {
+    try {
+      policy = JSON.parse(env.DEFAULT_CONTENT_POLICY);
+    } catch {
+      policy = null;
+    }
+  }
+  if (!policy) return null;
+  const pii = policy.pii === true ? PII_TYPES : (Array.isArray(policy.pii) ? policy.pii.filter(type => PII_TYPES.includes(type)) : []);
+  const moderationOption = typeof policy.moderation === "string" ? { mode: policy.moderation } : policy.moderation;
+  const moderation = ["block", "flag"].includes(moderationOption?.mode)
+    ? {
+      mode: moderationOption.mode,
+      model: moderationOption.model || DEFAULT_MODERATION_MODEL,
+      failClosed: moderationOption.mode === "block" && moderationOption.fail_closed !== false
+    }
+    : null;
+  const phoneRegions = Array.isArray(policy.phone_regions)
+    ? policy.phone_regions.map(region => String(region).toLowerCase()).filter(region => region in PHONE_NATIONAL_PATTERNS)
+    : DEFAULT_PHONE_REGIONS;
+  return pii.length || moderation ? { pii, phoneRegions, moderation } : null;
+}
+__name(resolveContentPolicy, "resolveContentPolicy");
+
+// Testo dell'ultimo turno utente (messaggi Chat o input Responses), quello da moderare
+function latestUserText(body) {
+  if (typeof body.input === "string") return body.input;
+  const items = Array.isArray(body.messages) ? body.messages : (Array.isArray(body.input) ? body.input : []);
+  let start = items.length;
+  while (start > 0 && items[start - 1]?.role !== "assistant" && items[start - 1]?.type !== "function_call") start--;
+  return items.slice(start)
+    .filter(item => item?.role === "user")
+    .map(item => contentToText(Array.isArray(item.content) ? item.content.filter(part => typeof part === "string" || part?.text) : item.content))
+    .filter(Boolean)
+    .join("\n");
+}
+__name(latestUserText, "latestUserText");
+
+// Moderazione -> { flagged, categories } oppure { error }
+async function moderateText(env, meter, moderation, text) {
+  const model = moderation.model;
+  const providerName = /llama-guard/i.test(model) ? "groq" : "openai";
+  const apiKey = env[PROVIDERS[providerName].apiKeyEnv];
+  if (!apiKey) return { error: `${PROVIDERS[providerName].apiKeyEnv} not configured` };
+  const policy = resolveUpstreamPolicy(env, providerName, meter.route);
+  const headers = { "Content-Type": "application/json", ...buildProviderHeaders(providerName, apiKey, meter.requestId) };
+  try {
+    if (providerName === "openai") {
+      const resp = await fetchUpstream(PROVIDERS.openai.moderationsUrl, {
+        method: "POST", headers, body: JSON.stringify({ model, input: text })
+      }, policy);
+      if (!resp.ok) {
+        await meter.record({ provider: providerName, model, status: resp.status });
+        return { error: `moderation returned HTTP ${resp.status}` };
+      }
+      const result = (await resp.json()).results?.[0] || {};
+      await meter.record({ provider: providerName, model, status: resp.status });
+      return {
+        flagged: !!result.flagged,
+        categories: Object.keys(result.categories || {}).filter(category => result.categories[category])
+      };
+    }
+    const resp = await fetchUpstream(getChatUpstreamUrl(providerName, model, false), {
+      method: "POST", headers, body: JSON.stringify({ model, messages: [{ role: "user", content: text }] })
+    }, policy);
+    if (!resp.ok) {
+      await meter.record({ provider: providerName, model, status: resp.status });
+      return { error: `moderation returned HTTP ${resp.status}` };
+    }
+    const data = await resp.json();
+    await meter.record({ provider: providerName, model, usage: data.usage });
+    const [verdict = "", codes = ""] = (data.choices?.[0]?.message?.content || "").trim().split("\n");
+    const flagged = verdict.trim().toLowerCase() === "unsafe";
+    return {
+      flagged,
+      categories: flagged ? codes.split(",").map(code => code.trim()).filter(Boolean).map(code => LLAMA_GUARD_CATEGORIES[code] || code) : []
+    };
+  } catch (err) {
+    return { error: err?.message || String(err) };
+  }
+}
+__name(moderateText, "moderateText");
+
+// Hook pre-richiesta sul corpo da inviare upstream (formato Chat o Responses).
+// -> { body, report, restore(data), streamRestorer(), maskForStorage(messages) } oppure { error: Response }
+// maskForStorage: stessi segnaposto della richiesta, per salvare i turni senza i valori in chiaro
+async function applyContentPolicy(env, client, meter, body) {
+  const policy = resolveContentPolicy(env, client);
+  if (!policy) return { body, report: null, restore: data => data, streamRestorer: () => null, maskForStorage: data => data };
+
+  const { mask, placeholders } = createPiiMasker(policy.pii, {
+    phoneRegions: policy.phoneRegions,
+    counters: existingPlaceholderCounters(body)
+  });
+  const masked = policy.pii.length ? maskPromptFields(body, mask) : body;
+  const report = { pii_redacted: placeholders.size, moderation: null, categories: [] };
+
+  const text = policy.moderation ? latestUserText(masked) : "";
+  if (text) {
+    const result = await moderateText(env, meter, policy.moderation, text);
+    if (result.error) {
+      writeLog(env, { level: "warn", msg: "moderation_failed", request_id: meter.requestId, error: result.error });
+      if (policy.moderation.failClosed) {
+        meter.trace?.set({ pii_redacted: placeholders.size, moderation: "error" });
+        return {
+          error: errorResponse(503, "The gateway content policy could not be evaluated. Please retry later.", {
+            type: "api_error", code: "moderation_unavailable"
+          })
+        };
+      }
+    }
+    report.moderation = result.error ? "error" : (result.flagged ? "flagged" : "passed");
+    report.categories = result.categories || [];
+    if (result.flagged && policy.moderation.mode === "block") {
+      meter.trace?.set({ pii_redacted: report.pii_redacted, moderation: "blocked" });
+      return {
+        error: errorResponse(400, "The request was rejected by the gateway content policy.", {
+          code: "content_policy_violation",
+          param: Array.isArray(body.messages) ? "messages" : "input",
+          details: { categories: report.categories }
+        })
+      };
+    }
+  }
+  meter.trace?.set({ pii_redacted: report.pii_redacted, moderation: report.moderation });
+  return {
+    body: masked,
+    report,
+    restore: data => (placeholders.size ? restorePlaceholders(data, placeholders) : data),
+    streamRestorer: () => (placeholders.size ? createPiiStreamRestorer(placeholders) : null),
+    maskForStorage: data => (policy.pii.length ? maskPromptFields(data, mask) : data)
+  };
+}
+__name(applyContentPolicy, "applyContentPolicy");
+
+// Esito degli hook negli header della risposta (anche per gli stream)
+function setContentPolicyHeaders(response, report) {
+  if (!report) return response;
+  response.headers.set("x-gateway-pii-redacted", String(report.pii_redacted));
+  if (report.moderation) response.headers.set("x-gateway-moderation", report.moderation);
+  if (report.categories.length) response.headers.set("x-gateway-moderation-categories", report.categories.join(","));
+  return response;
+}
+__name(setContentPolicyHeaders, "setContentPolicyHeaders");
+
+// =========================
+// /v1/responses (preferito per OpenAI)
+// =========================
+async function handleResponsesEndpoint(request, env, client, meter) {
+  try {
+    const bodyText = await request.text();
+    const body = JSON.parse(bodyText || "{}");
+
+    if (!body.model) {
+      return errorResponse(400, "Model parameter is required", { param: "model" });
+    }
+
+    const routing = await loadRoutingConfig(env);
+    const route = resolveModelRoute(routing, body.model, getProviderFromHeader(request));
+    if (route.error) return route.error;
+    const { providerName, model, alias } = route;
+    const provider = PROVIDERS[providerName];
+    body.model = model;
+
+    const accessError = checkModelAccess(client, providerName, model, alias);
+    if (accessError) return accessError;
+
+    const reasoningError = reasoningOptionError(body);
+    if (reasoningError) return reasoningError;
+
+    if (requestHasImages(body) && !supportsVision(providerName, model)) {
+      return errorResponse(400, `Model ${model} does not support image inputs`, {
+        code: "image_input_not_supported", param: "messages"
+      });
+    }
+
+    const guardMode = resolveContextGuardMode(request, env, body);
+    if (!guardMode) {
+      return errorResponse(400, `Invalid context guard. Expected one of: ${CONTEXT_GUARD_MODES.join(", ")}.`, {
+        code: "invalid_context_guard", param: "context_guard"
+      });
+    }
+    delete body.context_guard;
+
+    const apiKey = env[provider.apiKeyEnv];
+    if (!apiKey) {
+      return missingProviderKeyResponse(providerName);
+    }
+
+    // Il client può usare /v1/responses sia in formato Responses (input) che Chat (messages)
+    const isResponsesRequest = body.input !== undefined || !Array.isArray(body.messages);
+
+    // Cache: solo non-stream e senza stato di conversazione da aggiornare
+    const cacheable = isCacheableRequest(env, client, body) && !body.stream && !body.previous_response_id &&
+      (!isResponsesRequest || body.store === false);
+    const cacheStatus = cacheable ? (isCacheBypassed(request) ? "BYPASS" : "MISS") : null;
+    const cacheKey = cacheable ? await responseCacheKey("responses", client, providerName, model, body) : null;
+    if (cacheStatus === "MISS") {
+      const cached = await readCachedResponse(env, cacheKey);
+      if (cached) {
+        await meter.record({ provider: providerName, model, cached: true });
+        return cachedResponse(cached);
+      }
+    }
+
+    const limited = await enforceRateLimits(env, client, providerName);
+    if (limited) return limited;
+
+    let targetUrl = provider.baseUrl;
+    let requestBody = body;
+    const usesResponsesApi = providerName === "openai" && provider.supportsResponses;
+
+    if (usesResponsesApi) {
+      // Per OpenAI usiamo Responses API nativa
+      targetUrl = provider.responsesUrl;
+      if (!isResponsesRequest) {
+        requestBody = transformChatCompletionsToResponses(body);
+      }
+      // Modelli di reasoning: niente parametri di sampling
+      if (reasoningFamily("openai", model)) {
+        requestBody = omitReasoningUnsupportedParams({ ...requestBody }, "openai");
+      }
+    } else if (isResponsesRequest) {
+      // Altri provider: payload Responses convertito in Chat
+      requestBody = transformResponsesRequestToChat(body);
+    }
+
+    // Provider senza stato: il gateway ricostruisce la cronologia da previous_response_id
+    const statefulTurn = !usesResponsesApi && isResponsesRequest;
+    const responseId = statefulTurn ? `resp_${crypto.randomUUID().replace(/-/g, "")}` : null;
+    let history = [];
+    const turnMessages = statefulTurn ? requestBody.messages.filter(m => m.role !== "system") : [];
+    if (statefulTurn && body.previous_response_id) {
+      history = await loadConversation(env, client, body.previous_response_id);
+      if (!history) {
+        return errorResponse(400, `Previous response with id '${body.previous_response_id}' not found.`, {
+          code: "previous_response_not_found", param: "previous_response_id"
+        });
+      }
+      const system = requestBody.messages.filter(m => m.role === "system");
+      requestBody = { ...requestBody, messages: [...system, ...history, ...turnMessages] };
+    }
+    // Guardia sul payload effettivo (con la cronologia ricostruita; su OpenAI gli input item)
+    const guard = applyContextGuard(guardMode, env, requestBody, usesResponsesApi ? "responses" : "chat", providerName, model);
+    if (guard.error) return guard.error;
+    requestBody = guard.body;
+
+    // Hook PII/moderazione sul payload effettivo (con la cronologia ricostruita)
+    const content = await applyContentPolicy(env, client, meter, requestBody);
+    if (content.error) return content.error;
+    requestBody = content.body;
+
+    // Turno salvato per previous_response_id; con una policy PII solo in forma mascherata
+    const storeTurn = (assistantMessage) => {
+      const stored = { role: "assistant", content: assistantMessage.content ?? null };
+      if (assistantMessage.tool_calls) stored.tool_calls = assistantMessage.tool_calls;
+      return saveConversation(env, client, responseId, content.maskForStorage([...history, ...turnMessages, stored]));
+    };
+
+    // Streaming? (valutato prima delle trasformazioni: il corpo Gemini non ha "stream")
+    const wantsStream = !!body.stream;
+
+    // Provider non-Responses: stesso adattamento per provider di /v1/chat/completions
+    const chatBody = requestBody;
+    if (!usesResponsesApi) {
+      requestBody = buildChatUpstreamBody(requestBody, providerName, model);
+      targetUrl = getChatUpstreamUrl(providerName, model, wantsStream);
+    }
+
+    const headers = {
+      "Content-Type": "application/json",
+      ...buildProviderHeaders(providerName, apiKey, meter.requestId)
+    };
+
+    meter.trace?.set({ provider: providerName, model });
+    meter.trace?.debugUpstream(providerName, targetUrl, requestBody);
+    const policy = resolveUpstreamPolicy(env, providerName, meter.route);
+    let resp;
+    try {
+      resp = await fetchUpstream(targetUrl, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(requestBody)
+      }, policy, { stream: wantsStream });
+    } catch (err) {
+      return upstreamUnreachableResponse(providerName, err);
+    }
+
+    if (wantsStream) {
+      if (!resp.ok) await meter.record({ provider: providerName, model, status: resp.status, stream: true });
+      const streamResponse = await handleStreamingResponse(resp, providerName, {
+        model,
+        trace: meter.trace,
+        policy,
+        waitUntil: meter.waitUntil,
+        restorer: content.streamRestorer(),
+        // Client in formato Responses su OpenAI: eventi Responses inoltrati senza conversione
+        passthrough: usesResponsesApi && isResponsesRequest,
+        // Client in formato Responses su provider Chat: eventi Responses ricostruiti dai chunk
+        responsesOutput: statefulTurn,
+        responseId,
+        previousResponseId: body.previous_response_id || null,
+        ...(statefulTurn && body.store !== false ? { onComplete: ({ message }) => storeTurn(message) } : {}),
+        onFinish: ({ status, usage }) => meter.record({ provider: providerName, model, status, usage, stream: true })
+      });
+      // L'id della risposta (anche nel campo id degli eventi) serve al client per il turno successivo
+      if (responseId) streamResponse.headers.set("x-gateway-response-id", responseId);
+      return setContentPolicyHeaders(setContextGuardHeaders(streamResponse, guard.report), content.report);
+    }
+
+    // Non-stream
+    if (!resp.ok) {
+      await meter.record({ provider: providerName, model, status: resp.status });
+      return setContentPolicyHeaders(setContextGuardHeaders(await providerErrorResponse(providerName, resp), guard.report), content.report);
+    }
+    let responseData = await resp.json();
+    if (!usesResponsesApi) {
+      responseData = normalizeChatUpstreamResponse(providerName, model, responseData);
+    }
+    await meter.record({ provider: providerName, model, usage: responseData.usage });
+    if (!usesResponsesApi && isStructuredFormat(chatBody.response_format)) {
+      const enforced = await enforceStructuredOutput(chatBody, responseData, retryBody =>
+        requestChatCompletion(env, meter, providerName, model, retryBody)
+      );
+      if (enforced.error) return enforced.error;
+      responseData = enforced.responseData;
+    }
+    responseData = content.restore(responseData);
+    // Risposta nel formato della richiesta: Chat per payload messages, Responses per payload input
+    if (usesResponsesApi && !isResponsesRequest) {
+      responseData = transformResponsesApiToChat(responseData);
+    } else if (statefulTurn) {
+      if (body.store !== false) await storeTurn(responseData?.choices?.[0]?.message || {});
+      responseData = transformChatToResponsesApi(responseData, responseId);
+      if (body.previous_response_id) responseData.previous_response_id = body.previous_response_id;
+    }
+    if (cacheable) await writeCachedResponse(env, cacheKey, { response: responseData });
+
+    return setContentPolicyHeaders(setContextGuardHeaders(new Response(JSON.stringify(responseData), {
+      status: 200,
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization, x-provider",
+        ...(cacheStatus ? { "x-gateway-cache": cacheStatus } : {})
+      }
+    }), guard.report), content.report);
+  } catch (error) {
+    return internalErrorResponse(error);
+  }
+}
+__name(handleResponsesEndpoint, "handleResponsesEndpoint");
+
+// =========================
+// /v1/chat/completions (compat)
+// =========================
+// Corpo upstream Chat per provider/modello (usato anche per ogni candidato di fallback)
+function buildChatUpstreamBody(body, providerName, model) {
+  let requestBody = { ...body, model };
+  delete requestBody.fallback_models;
+  requestBody = applyStructuredOutputStrategy(requestBody, providerName);
+  if (providerName === "anthropic") {
+    requestBody = transformForAnthropic(requestBody);
+  }
+  if (providerName === "gemini") {
+    requestBody = transformForGemini(requestBody);
+  }
+  // DeepSeek rifiuta reasoning_content nei messaggi in input (i client lo rimandano indietro)
+  if (providerName === "deepseek" && Array.isArray(requestBody.messages)) {
+    requestBody.messages = requestBody.messages.map(({ reasoning_content, ...message }) => message);
+  }
+  // Usage nell'ultimo chunk dello stream, necessario per le quote token
+  if (requestBody.stream && ["openai", "xai", "deepseek"].includes(providerName) && !requestBody.stream_options) {
+    requestBody.stream_options = { include_usage: true };
+  }
+  requestBody = applyReasoningParameters(requestBody, body, providerName, model);
+  if (providerName === "openai") {
+    const lowerModel = (requestBody.model || "").toLowerCase();
+    const requiresCompletion = lowerModel.includes("gpt-5") || /^o[134]/.test(lowerModel);
+    if (requiresCompletion && typeof requestBody.max_tokens === "number") {
+      requestBody.max_completion_tokens = requestBody.max_tokens;
+      delete requestBody.max_tokens;
+    }
+  }
+  return requestBody;
+}
+__name(buildChatUpstreamBody, "buildChatUpstreamBody");
+
+// Normalizza una risposta Chat non-stream del provider nel formato OpenAI
+function normalizeChatUpstreamResponse(providerName, model, data) {
+  if (providerName === "anthropic") data = transformAnthropicResponse(data);
+  else if (providerName === "gemini") data = transformGeminiResponse(data, model);
+  else for (const choice of data.choices || []) normalizeReasoningMessage(choice.message);
+  if (!data.model) data.model = model;
+  return data;
+}
+__name(normalizeChatUpstreamResponse, "normalizeChatUpstreamResponse");
+
+// Chiamata Chat non-stream singola (nuovo tentativo di structured output); null se fallisce
+async function requestChatCompletion(env, meter, providerName, model, chatBody) {
+  const requestBody = buildChatUpstreamBody({ ...chatBody, stream: false }, providerName, model);
+  const upstreamUrl = getChatUpstreamUrl(providerName, model, false);
+  meter.trace?.debugUpstream(providerName, upstreamUrl, requestBody);
+  let resp;
+  try {
+    resp = await fetchUpstream(upstreamUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...buildProviderHeaders(providerName, env[PROVIDERS[providerName].apiKeyEnv], meter.requestId)
+      },
+      body: JSON.stringify(requestBody)
+    }, resolveUpstreamPolicy(env, providerName, meter.route));
+  } catch {
+    return null;
+  }
+  if (!resp.ok) {
+    await resp.body?.cancel();
+    await meter.record({ provider: providerName, model, status: resp.status });
+    return null;
+  }
+  const data = normalizeChatUpstreamResponse(providerName, model, await resp.json());
+  await meter.record({ provider: providerName, model, usage: data.usage });
+  return data;
+}
+__name(requestChatCompletion, "requestChatCompletion");
+
+async function handleChatCompletionsEndpoint(request, env, client, meter) {
+  try {
+    const bodyText = await request.text();
+    let body = JSON.parse(bodyText || "{}");
+
+    if (!body.model) {
+      return errorResponse(400, "Model parameter is required", { param: "model" });
+    }
+
+    const routing = await loadRoutingConfig(env);
+    const route = resolveModelRoute(routing, body.model, getProviderFromHeader(request));
+    if (route.error) return route.error;
+    const { providerName, model, alias } = route;
     const provider = PROVIDERS[providerName];
+    body.model = model;
+
+    const accessError = checkModelAccess(client, providerName, model, alias);
+    if (accessError) return accessError;
+
+    const reasoningError = reasoningOptionError(body);
+    if (reasoningError) return reasoningError;
+
+    if (requestHasImages(body) && !supportsVision(providerName, model)) {
+      return errorResponse(400, `Model ${model} does not support image inputs`, {
+        code: "image_input_not_supported", param: "messages"
+      });
+    }
+
+    const guardMode = resolveContextGuardMode(request, env, body);
+    if (!guardMode) {
+      return errorResponse(400, `Invalid context guard. Expected one of: ${CONTEXT_GUARD_MODES.join(", ")}.`, {
+        code: "invalid_context_guard", param: "context_guard"
+      });
+    }
+    delete body.context_guard;
+
+    // Guardia sulla finestra del modello richiesto (i fallback ricevono lo stesso prompt)
+    const guard = applyContextGuard(guardMode, env, body, "chat", providerName, model);
+    if (guard.error) return guard.error;
+    body = guard.body;
+
+    const apiKey = env[provider.apiKeyEnv];
+    if (!apiKey) {
+      return missingProviderKeyResponse(providerName);
+    }
+
+    // Cache opt-in per richieste deterministiche (un HIT non consuma quote)
+    const cacheable = isCacheableRequest(env, client, body);
+    const cacheStatus = cacheable ? (isCacheBypassed(request) ? "BYPASS" : "MISS") : null;
+    const cacheKey = cacheable ? await responseCacheKey("chat", client, providerName, model, body) : null;
+    if (cacheStatus === "MISS") {
+      const cached = await readCachedResponse(env, cacheKey);
+      if (cached) {
+        await meter.record({ provider: providerName, model, stream: !!body.stream, cached: true });
+        return setContextGuardHeaders(cachedResponse(cached, { stream: !!body.stream }), guard.report);
+      }
+    }
+
+    const limited = await enforceRateLimits(env, client, providerName);
+    if (limited) return limited;
+
+    // Hook PII/moderazione sul corpo inviato upstream
+    const content = await applyContentPolicy(env, client, meter, body);
+    if (content.error) return content.error;
+    body = content.body;
+
+    // Modello richiesto + catena di fallback (solo candidati utilizzabili)
+    const candidates = [{ providerName, model }];
+    for (const fallbackModel of resolveFallbackChain(request, body, env, model)) {
+      const fallbackRoute = resolveModelRoute(routing, fallbackModel);
+      if (fallbackRoute.error) continue;
+      if (isFallbackCandidateUsable(env, client, body, fallbackRoute.providerName, fallbackRoute.model)) {
+        candidates.push({ providerName: fallbackRoute.providerName, model: fallbackRoute.model });
+      }
+    }
+
+    // Ultimo esito fallito, riferito al candidato che l'ha prodotto: { candidate, response } o { candidate, error }
+    let lastFailure = null;
+    let lastLimited = null;
+    const checkedProviders = new Set([providerName]);
+    for (let attempt = 0; attempt < candidates.length; attempt++) {
+      const candidate = candidates[attempt];
+      const isLast = attempt === candidates.length - 1;
+      // Fallback su un altro provider: saltato se oltre i limiti di quel provider
+      if (!checkedProviders.has(candidate.providerName)) {
+        checkedProviders.add(candidate.providerName);
+        lastLimited = await enforceRateLimits(env, client, candidate.providerName, { providerOnly: true });
+        if (lastLimited) continue;
+      }
+      if (attempt > 0) await sleep(fallbackBackoffDelay(attempt));
+      meter.trace?.set({
+        retries: attempt,
+        provider: candidate.providerName,
+        model: candidate.model,
+        served_by: `${candidate.providerName}/${candidate.model}`
+      });
+
+      const requestBody = buildChatUpstreamBody(body, candidate.providerName, candidate.model);
+      const upstreamUrl = getChatUpstreamUrl(candidate.providerName, candidate.model, !!body.stream);
+      const headers = {
+        "Content-Type": "application/json",
+        ...buildProviderHeaders(candidate.providerName, env[PROVIDERS[candidate.providerName].apiKeyEnv], meter.requestId)
+      };
+      meter.trace?.debugUpstream(candidate.providerName, upstreamUrl, requestBody);
+
+      // Con una catena di fallback il candidato successivo sostituisce i retry interni
+      const policy = resolveUpstreamPolicy(env, candidate.providerName, meter.route);
+      const maxRetries = candidates.length > 1 ? 0 : policy.max_retries;
+      const servedBy = `${candidate.providerName}/${candidate.model}`;
+      let resp;
+      try {
+        resp = await fetchUpstream(upstreamUrl, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(requestBody)
+        }, policy, { stream: !!body.stream, maxRetries });
+      } catch (err) {
+        lastFailure = { candidate, error: err };
+        continue;
+      }
+
+      // 429/5xx: si passa al candidato successivo (per gli stream, prima del primo byte);
+      // la risposta resta disponibile se nessun altro candidato risponde
+      if (isRetryableStatus(resp.status) && !isLast) {
+        lastFailure = {
+          candidate,
+          response: new Response(await resp.text(), { status: resp.status, statusText: resp.statusText, headers: resp.headers })
+        };
+        continue;
+      }
+
+      // Streaming?
+      if (body.stream) {
+        if (!resp.ok) {
+          await meter.record({ provider: candidate.providerName, model: candidate.model, status: resp.status, stream: true });
+        }
+        const streamResponse = await handleStreamingResponse(resp, candidate.providerName, {
+          model: candidate.model,
+          trace: meter.trace,
+          policy,
+          waitUntil: meter.waitUntil,
+          restorer: content.streamRestorer(),
+          onFinish: ({ status, usage }) => meter.record({
+            provider: candidate.providerName, model: candidate.model, status, usage, stream: true
+          }),
+          // Stream completo (con finish_reason) salvato come risposta Chat per i replay
+          ...(cacheable ? {
+            onComplete: ({ message, finishReason, usage }) => finishReason && writeCachedResponse(env, cacheKey, {
+              servedBy,
+              response: {
+                id: `chatcmpl-${crypto.randomUUID().replace(/-/g, "")}`,
+                object: "chat.completion",
+                created: Math.floor(Date.now() / 1000),
+                model: candidate.model,
+                choices: [{ index: 0, message, finish_reason: finishReason }],
+                ...(usage ? { usage } : {})
+              }
+            })
+          } : {})
+        });
+        streamResponse.headers.set("x-gateway-served-by", servedBy);
+        if (cacheStatus) streamResponse.headers.set("x-gateway-cache", cacheStatus);
+        return setContentPolicyHeaders(setContextGuardHeaders(streamResponse, guard.report), content.report);
+      }
+
+      if (!resp.ok) {
+        await meter.record({ provider: candidate.providerName, model: candidate.model, status: resp.status });
+        const errorResp = await providerErrorResponse(candidate.providerName, resp);
+        errorResp.headers.set("x-gateway-served-by", servedBy);
+        return setContentPolicyHeaders(setContextGuardHeaders(errorResp, guard.report), content.report);
+      }
+
+      let responseData = normalizeChatUpstreamResponse(candidate.providerName, candidate.model, await resp.json());
+      await meter.record({ provider: candidate.providerName, model: candidate.model, usage: responseData.usage });
+
+      if (isStructuredFormat(body.response_format)) {
+        const enforced = await enforceStructuredOutput(body, responseData, retryBody =>
+          requestChatCompletion(env, meter, candidate.providerName, candidate.model, retryBody)
+        );
+        if (enforced.error) return enforced.error;
+        responseData = enforced.responseData;
+      }
+      responseData = content.restore(responseData);
+      if (cacheable) await writeCachedResponse(env, cacheKey, { servedBy, response: responseData });
+
+      return setContentPolicyHeaders(setContextGuardHeaders(new Response(JSON.stringify(responseData), {
+        status: 200,
+        headers: {
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+          "Access-Control-Allow-Headers": "Content-Type, Authorization, x-provider",
+          "x-gateway-served-by": servedBy,
+          ...(cacheStatus ? { "x-gateway-cache": cacheStatus } : {})
+        }
+      }), guard.report), content.report);
+    }
+    // Candidati esauriti: errore dell'ultimo tentativo; i limiti solo se nessuno è stato tentato
+    if (lastFailure?.response) {
+      const { candidate } = lastFailure;
+      await meter.record({
+        provider: candidate.providerName, model: candidate.model, status: lastFailure.response.status, stream: !!body.stream
+      });
+      const errorResp = await providerErrorResponse(candidate.providerName, lastFailure.response);
+      errorResp.headers.set("x-gateway-served-by", `${candidate.providerName}/${candidate.model}`);
+      return setContentPolicyHeaders(setContextGuardHeaders(errorResp, guard.report), content.report);
+    }
+    if (lastFailure) return upstreamUnreachableResponse(lastFailure.candidate.providerName, lastFailure.error);
+    return lastLimited || upstreamUnreachableResponse(providerName, null);
+  } catch (error) {
+    return internalErrorResponse(error);
+  }
+}
+__name(handleChatCompletionsEndpoint, "handleChatCompletionsEndpoint");
+
+// =========================
+// FILE E BATCH (/v1/files, /v1/batches)
+// =========================
+// Job offline compatibili OpenAI: upload di un JSONL (purpose "batch"), POST /v1/batches,
+// polling di GET /v1/batches/:id e download dei risultati da GET /v1/files/:id/content.
+// Ogni riga { custom_id, method: "POST", url, body } passa dall'handler dell'endpoint
+// (routing, alias, fallback, quote e contabilità come una richiesta normale), con al più
+// env BATCH_CONCURRENCY righe in parallelo.
+// Stato nel KV BATCHES (o stand-in in memoria): "file:<client>:<id>" metadati,
+// "file_content:<id>" contenuto, "batch:<client>:<id>" stato (le liste leggono solo le chiavi
+// del chiamante), "batch_active:<id>" batch aperti per il cron, "batch_input:<id>:<n>" righe
+// validate alla creazione (blocchi di BATCH_INPUT_CHUNK_LINES, l'input non si rilegge più),
+// "batch_part:<id>:<n>" risultati parziali (un checkpoint per round di BATCH_CONCURRENCY
+// righe), "batch_cancel:<id>" richiesta di annullamento. I file di output sono scritti in
+// streaming dai checkpoint.
+// L'esecuzione non avviene mai nelle richieste dei client (waitUntil scade ~30 s dopo la
+// risposta): gira nell'alarm del Durable Object BATCH_COORDINATOR, riarmato finché restano
+// righe, o senza binding nel cron (handler scheduled, richiede un Cron Trigger). Ogni
+// esecuzione dura al più BATCH_RUN_BUDGET_MS (controllato prima di ogni round) e riprende
+// dall'ultimo checkpoint. Lease e cursore vivono nel coordinatore, non nel KV eventualmente
+// consistente: due esecuzioni non ripetono mai le stesse righe.
+// A ogni checkpoint si rilegge il record della chiave che ha creato il batch: chiave revocata
+// (o senza più l'endpoint) -> batch annullato.
+const BATCH_ENDPOINTS = {
+  "/v1/chat/completions": handleChatCompletionsEndpoint,
+  "/v1/embeddings": handleEmbeddingsEndpoint,
+  "/v1/responses": handleResponsesEndpoint
+};
+const DEFAULT_BATCH_CONCURRENCY = 4;
+const DEFAULT_BATCH_MAX_REQUESTS = 5000;
+const DEFAULT_FILES_MAX_UPLOAD_MB = 25;
+// Il lease copre il round più lento (timeout upstream e retry 429 di ogni riga), non il budget
+const BATCH_LEASE_MS = 15 * 60 * 1000;
+const BATCH_RUN_BUDGET_MS = 25 * 1000;
+// Record del batch (conteggi visibili al polling) riscritto al più ogni BATCH_PROGRESS_SAVE_MS
+const BATCH_PROGRESS_SAVE_MS = 5 * 1000;
+const BATCH_INPUT_CHUNK_LINES = 100;
+const BATCH_COMPLETION_WINDOW_SECONDS = 24 * 60 * 60;
+const BATCH_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+// 429 del gateway (quote del client) ritentati per riga rispettando Retry-After
+const BATCH_LINE_MAX_RETRIES = 3;
+const BATCH_LINE_RETRY_POLICY = { ...DEFAULT_UPSTREAM_POLICY, retry_max_ms: 10 * 1000 };
+const BATCH_MAX_VALIDATION_ERRORS = 100;
+const BATCH_FINAL_STATUSES = ["failed", "completed", "expired", "cancelled"];
+// Campi interni del record batch, esclusi dalle risposte
+const BATCH_PRIVATE_FIELDS = ["client", "client_key"];
+const localBatchStore = createMemoryKV();
+const memoryBatchCursors = new Map();
+const memoryBatchQueues = new Map();
 
-    if (!provider) {
-      return new Response(JSON.stringify({ error: `Unsupported provider: ${providerName}` }), {
-        status: 400, headers: { "Content-Type": "application/json" }
-      });
-    }
+function getBatchStore(env) {
+  return env.BATCHES || localBatchStore;
+}
+__name(getBatchStore, "getBatchStore");
 
-    const apiKey = env[provider.apiKeyEnv];
-    if (!apiKey) {
-      return new Response(JSON.stringify({ error: `${providerName.toUpperCase()} API key not configured` }), {
-        status: 500, headers: { "Content-Type": "application/json" }
-      });
-    }
+// Cursore del batch (stato nel coordinatore): righe eseguite, checkpoint scritti, conteggi e lease.
+// "acquire" prende il lease se libero o scaduto; "commit" avanza il cursore di un checkpoint e
+// rinnova il lease solo per chi lo detiene; "release" lo libera; "finish" chiude il batch.
+// -> { ok, cursor }
+async function applyBatchCursorOp(storage, { op, owner, leaseMs = BATCH_LEASE_MS, lines = 0, completed = 0, failed = 0 }) {
+  const now = Date.now();
+  const cursor = await storage.get("cursor") ||
+    { next_line: 0, parts: 0, completed: 0, failed: 0, owner: null, lease_until: 0, finished: false };
+  const held = cursor.owner === owner && cursor.lease_until > now;
 
-    let targetUrl = provider.baseUrl;
-    let requestBody = body;
+  if (op === "acquire") {
+    if (cursor.finished || (cursor.owner && cursor.owner !== owner && cursor.lease_until > now)) return { ok: false, cursor };
+    cursor.owner = owner;
+    cursor.lease_until = now + leaseMs;
+  } else if (op === "commit") {
+    if (!held) return { ok: false, cursor };
+    cursor.next_line += lines;
+    cursor.parts += 1;
+    cursor.completed += completed;
+    cursor.failed += failed;
+    cursor.lease_until = now + leaseMs;
+  } else if (op === "release") {
+    if (cursor.owner !== owner) return { ok: false, cursor };
+    cursor.owner = null;
+    cursor.lease_until = 0;
+  } else if (op === "finish") {
+    if (!held) return { ok: false, cursor };
+    cursor.finished = true;
+    cursor.owner = null;
+    cursor.lease_until = 0;
+  } else {
+    return { ok: false, cursor };
+  }
+  await storage.put("cursor", cursor);
+  return { ok: true, cursor };
+}
+__name(applyBatchCursorOp, "applyBatchCursorOp");
 
-    // Per OpenAI usiamo Responses API nativa
-    if (providerName === "openai" && provider.supportsResponses) {
-      targetUrl = provider.responsesUrl;
-      // Il corpo è già in formato Responses API se il client l'ha inviato così.
-      // Se il client ha mandato Chat format con /v1/responses, convertiamo:
-      if (!body.input && Array.isArray(body.messages)) {
-        requestBody = transformChatCompletionsToResponses(body);
+// Durable Object BATCH_COORDINATOR (una istanza per batch: operazioni serializzate e
+// fortemente consistenti); senza binding una mappa in memoria con la stessa logica.
+// L'op "schedule" (solo Durable Object, con batch_id e client) arma l'alarm che esegue il batch
+function getBatchCoordinator(env) {
+  if (env.BATCH_COORDINATOR) {
+    return {
+      async run(batchId, op) {
+        const stub = env.BATCH_COORDINATOR.get(env.BATCH_COORDINATOR.idFromName(batchId));
+        const res = await stub.fetch("https://batch-coordinator/cursor", {
+          method: "POST",
+          body: JSON.stringify(op)
+        });
+        return res.json();
       }
-    } else {
-      // Altri provider: se arrivano payload Responses (input/modalities), converti a Chat
-      if (body.input && body.modalities) {
-        const messages = [];
-        if (body.metadata?.system_context) {
-          messages.push({ role: "system", content: body.metadata.system_context });
-        }
-        if (Array.isArray(body.metadata?.conversation_history)) {
-          messages.push(...body.metadata.conversation_history);
-        } else {
-          messages.push({ role: "user", content: body.input });
-        }
-        requestBody = { model: body.model, messages, stream: !!(body.stream && body.stream.mode === "text") };
-        if (typeof body.max_output_tokens === "number") {
-          requestBody.max_tokens = body.max_output_tokens;
-        } else if (typeof body.max_tokens === "number") {
-          requestBody.max_tokens = body.max_tokens;
-        }
-        if (body.response_format) requestBody.response_format = body.response_format;
-        if (body.tools) requestBody.tools = body.tools;
-        if (body.tool_choice) requestBody.tool_choice = body.tool_choice;
+    };
+  }
+  const storage = batchId => ({
+    get: async key => memoryBatchCursors.get(`${batchId}:${key}`),
+    put: async (key, value) => { memoryBatchCursors.set(`${batchId}:${key}`, value); }
+  });
+  return {
+    // Operazioni in coda per batch, serializzate come le richieste al Durable Object
+    run(batchId, op) {
+      const result = (memoryBatchQueues.get(batchId) || Promise.resolve())
+        .then(() => applyBatchCursorOp(storage(batchId), op));
+      memoryBatchQueues.set(batchId, result.catch(() => {}));
+      return result;
+    }
+  };
+}
+__name(getBatchCoordinator, "getBatchCoordinator");
+
+function batchObjectId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, "")}`;
+}
+__name(batchObjectId, "batchObjectId");
+
+function unixSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+__name(unixSeconds, "unixSeconds");
+
+function fileNotFoundResponse(fileId) {
+  return errorResponse(404, `No such File object: ${fileId}`, { code: "file_not_found", param: "file_id" });
+}
+__name(fileNotFoundResponse, "fileNotFoundResponse");
+
+function batchNotFoundResponse(batchId) {
+  return errorResponse(404, `No such Batch object: ${batchId}`, { code: "batch_not_found", param: "batch_id" });
+}
+__name(batchNotFoundResponse, "batchNotFoundResponse");
+
+function batchJsonResponse(data) {
+  return new Response(JSON.stringify(data), {
+    status: 200,
+    headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+  });
+}
+__name(batchJsonResponse, "batchJsonResponse");
+
+function publicFile({ client, ...file }) {
+  return file;
+}
+__name(publicFile, "publicFile");
+
+function publicBatch(batch) {
+  const result = { ...batch };
+  for (const field of BATCH_PRIVATE_FIELDS) delete result[field];
+  return result;
+}
+__name(publicBatch, "publicBatch");
+
+// Segmento del client nelle chiavi di file e batch (null = accesso senza chiavi)
+function batchOwnerKey(clientId) {
+  return encodeURIComponent(clientId || "anonymous");
+}
+__name(batchOwnerKey, "batchOwnerKey");
+
+function fileKey(clientId, fileId) {
+  return `file:${batchOwnerKey(clientId)}:${fileId}`;
+}
+__name(fileKey, "fileKey");
+
+function batchKey(clientId, batchId) {
+  return `batch:${batchOwnerKey(clientId)}:${batchId}`;
+}
+__name(batchKey, "batchKey");
+
+// File visibile solo al client che l'ha caricato (o creato dal suo batch); null altrimenti
+async function loadFile(env, client, fileId) {
+  return getBatchStore(env).get(fileKey(client?.id || null, fileId), "json");
+}
+__name(loadFile, "loadFile");
+
+function newFileRecord(clientId, { filename, purpose, bytes }) {
+  return {
+    id: batchObjectId("file"),
+    object: "file",
+    bytes,
+    created_at: unixSeconds(),
+    filename,
+    purpose,
+    status: "processed",
+    client: clientId
+  };
+}
+__name(newFileRecord, "newFileRecord");
+
+// Metadati ridotti al filtro di lista (limite KV di 1024 byte, filename libero)
+async function saveFileRecord(env, file) {
+  await getBatchStore(env).put(fileKey(file.client, file.id), JSON.stringify(file), {
+    expirationTtl: BATCH_RETENTION_SECONDS,
+    metadata: { purpose: file.purpose, created_at: file.created_at }
+  });
+}
+__name(saveFileRecord, "saveFileRecord");
+
+async function saveFile(env, clientId, { filename, purpose, content }) {
+  const file = newFileRecord(clientId, { filename, purpose, bytes: new TextEncoder().encode(content).length });
+  await getBatchStore(env).put(`file_content:${file.id}`, content, { expirationTtl: BATCH_RETENTION_SECONDS });
+  await saveFileRecord(env, file);
+  return file;
+}
+__name(saveFile, "saveFile");
+
+// File di output JSONL scritto in streaming nel KV, senza tenere i record in memoria.
+// close() -> file salvato, null se non è stato scritto nessun record
+function createBatchFileWriter(env, clientId, filename) {
+  const store = getBatchStore(env);
+  const file = newFileRecord(clientId, { filename, purpose: "batch_output", bytes: 0 });
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const upload = store.put(`file_content:${file.id}`, readable, { expirationTtl: BATCH_RETENTION_SECONDS });
+  let count = 0;
+  return {
+    get count() {
+      return count;
+    },
+    async write(record) {
+      const chunk = encoder.encode(JSON.stringify(record) + "\n");
+      file.bytes += chunk.length;
+      count += 1;
+      await writer.write(chunk);
+    },
+    async close() {
+      await writer.close();
+      await upload;
+      if (!count) {
+        await store.delete(`file_content:${file.id}`);
+        return null;
       }
+      await saveFileRecord(env, file);
+      return file;
+    },
+    abort(error) {
+      writer.abort(error).catch(() => {});
+      upload.catch(() => {});
     }
+  };
+}
+__name(createBatchFileWriter, "createBatchFileWriter");
+
+// Batch con lo stato di annullamento richiesto; null se assente (o di un altro client)
+async function loadBatch(env, clientId, batchId) {
+  const store = getBatchStore(env);
+  const batch = await store.get(batchKey(clientId, batchId), "json");
+  if (!batch) return null;
+  const cancelledAt = await store.get(`batch_cancel:${batchId}`);
+  if (cancelledAt && !BATCH_FINAL_STATUSES.includes(batch.status)) {
+    batch.status = "cancelling";
+    batch.cancelling_at = Number(cancelledAt);
+  }
+  return batch;
+}
+__name(loadBatch, "loadBatch");
+
+async function saveBatch(env, batch) {
+  await getBatchStore(env).put(batchKey(batch.client, batch.id), JSON.stringify(batch), {
+    expirationTtl: BATCH_RETENTION_SECONDS,
+    metadata: { status: batch.status, created_at: batch.created_at }
+  });
+}
+__name(saveBatch, "saveBatch");
+
+// Righe validate salvate una volta alla creazione, più l'indice dei batch aperti per il cron
+async function saveBatchInput(env, batch, requests) {
+  const store = getBatchStore(env);
+  const options = { expirationTtl: BATCH_RETENTION_SECONDS };
+  for (let start = 0; start < requests.length; start += BATCH_INPUT_CHUNK_LINES) {
+    const chunk = requests.slice(start, start + BATCH_INPUT_CHUNK_LINES);
+    await store.put(`batch_input:${batch.id}:${start / BATCH_INPUT_CHUNK_LINES}`, JSON.stringify(chunk), options);
+  }
+  await store.put(`batch_active:${batch.id}`, "", { ...options, metadata: { client: batch.client } });
+}
+__name(saveBatchInput, "saveBatchInput");
 
-    if (providerName === "anthropic") {
-      requestBody = transformForAnthropic(requestBody);
+// Lettore delle righe validate: read(from, count) carica solo i blocchi che servono
+function createBatchInputReader(env, batchId) {
+  const store = getBatchStore(env);
+  let cached = { index: -1, requests: [] };
+  return async function read(from, count) {
+    const result = [];
+    while (result.length < count) {
+      const line = from + result.length;
+      const index = Math.floor(line / BATCH_INPUT_CHUNK_LINES);
+      if (cached.index !== index) {
+        cached = { index, requests: await store.get(`batch_input:${batchId}:${index}`, "json") || [] };
+      }
+      const offset = line - index * BATCH_INPUT_CHUNK_LINES;
+      const items = cached.requests.slice(offset, offset + count - result.length);
+      if (!items.length) break;
+      result.push(...items);
     }
+    return result;
+  };
+}
+__name(createBatchInputReader, "createBatchInputReader");
 
-    const headers = {
-      "Content-Type": "application/json",
-      ...buildProviderHeaders(providerName, apiKey)
-    };
+// JSONL di input -> { requests: [{ line, custom_id, body }], errors: [{ code, message, line }] }
+function parseBatchInput(content, endpoint, maxRequests) {
+  const requests = [];
+  const errors = [];
+  const seen = new Set();
+  const fail = (code, message, line = null) => {
+    if (errors.length < BATCH_MAX_VALIDATION_ERRORS) errors.push({ code, message, param: null, line });
+  };
 
-    const forwardedRequest = new Request(targetUrl, {
-      method: "POST",
-      headers,
-      body: JSON.stringify(requestBody)
-    });
+  content.split(/\r?\n/).forEach((text, index) => {
+    if (!text.trim()) return;
+    const line = index + 1;
+    let item;
+    try {
+      item = JSON.parse(text);
+    } catch {
+      return fail("invalid_json_line", "This line is not parseable as valid JSON.", line);
+    }
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      return fail("invalid_json_line", "Each line must be a JSON object.", line);
+    }
+    if (typeof item.custom_id !== "string" || !item.custom_id) {
+      return fail("missing_custom_id", "Each line must have a string 'custom_id'.", line);
+    }
+    if (seen.has(item.custom_id)) {
+      return fail("duplicate_custom_id", `The custom_id '${item.custom_id}' is used more than once.`, line);
+    }
+    seen.add(item.custom_id);
+    if (String(item.method || "").toUpperCase() !== "POST") {
+      return fail("invalid_method", "Only the POST method is supported.", line);
+    }
+    if (item.url !== endpoint) {
+      return fail("mismatched_endpoint", `The url '${item.url}' does not match the batch endpoint '${endpoint}'.`, line);
+    }
+    if (!item.body || typeof item.body !== "object" || Array.isArray(item.body)) {
+      return fail("invalid_body", "Each line must have an object 'body'.", line);
+    }
+    requests.push({ line, custom_id: item.custom_id, body: item.body });
+  });
+
+  if (!requests.length && !errors.length) fail("empty_file", "The input file contains no requests.");
+  if (requests.length > maxRequests) {
+    fail("too_many_requests", `The input file contains ${requests.length} requests; the limit is ${maxRequests}.`);
+  }
+  return { requests, errors };
+}
+__name(parseBatchInput, "parseBatchInput");
 
-    const resp = await fetch(forwardedRequest);
+// Esegue una riga tramite l'handler dell'endpoint (non-stream) -> record del file di output
+async function executeBatchLine(env, ctx, batch, client, item) {
+  const url = `https://batch.internal${batch.endpoint}`;
+  const request = () => new Request(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...item.body, stream: false })
+  });
+  const trace = createRequestTrace(request(), env, new URL(url));
+  trace.authorize(client);
+  trace.set({ batch_id: batch.id, custom_id: item.custom_id });
+  const record = { id: batchObjectId("batch_req"), custom_id: item.custom_id, response: null, error: null };
 
-    // Streaming?
-    const wantsStream =
-      !!requestBody.stream ||
-      (!!body.stream && (body.stream === true || typeof body.stream === "object"));
-    if (wantsStream) {
-      return handleStreamingResponse(resp, providerName);
+  try {
+    let response;
+    for (let attempt = 1; ; attempt++) {
+      const meter = createUsageMeter(env, client, batch.endpoint, ctx, trace);
+      response = await BATCH_ENDPOINTS[batch.endpoint](request(), env, client, meter);
+      if (response.status !== 429 || attempt > BATCH_LINE_MAX_RETRIES) break;
+      const delay = upstreamRetryDelay(BATCH_LINE_RETRY_POLICY, attempt, response.headers);
+      if (delay === null) break;
+      await sleep(delay);
     }
+    const text = await response.text();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = text;
+    }
+    record.response = { status_code: response.status, request_id: trace.requestId, body };
+    trace.finish({ status: response.status });
+  } catch (error) {
+    record.error = { code: "internal_error", message: error?.message || String(error) };
+    trace.finish({ status: 500 });
+  }
+  return record;
+}
+__name(executeBatchLine, "executeBatchLine");
 
-    // Non-stream
-    let responseData = await resp.json();
-    if (providerName === "anthropic" && resp.ok) {
-      responseData = transformAnthropicResponse(responseData);
-    }
-    // Se il client ha usato /v1/responses su provider non-OpenAI, rimappa nel formato Responses
-    if (!(providerName === "openai" && provider.supportsResponses)) {
-      if (body.input && body.modalities) {
-        responseData = {
-          id: responseData.id || ("resp-" + Date.now()),
-          model: responseData.model,
-          status: "completed",
-          output: responseData?.choices?.[0]?.message?.content || "",
-          usage: responseData.usage
-        };
+function isBatchLineSuccess(record) {
+  return record.response !== null && record.response.status_code < 400;
+}
+__name(isBatchLineSuccess, "isBatchLineSuccess");
+
+// Chiude il batch: righe non eseguite come errori (scadenza/annullamento), file di output ed
+// errori scritti in streaming un checkpoint alla volta
+async function finalizeBatch(env, batch, readInput, cursor, status) {
+  const store = getBatchStore(env);
+  batch.status = "finalizing";
+  batch.finalizing_at = unixSeconds();
+  await saveBatch(env, batch);
+
+  const total = batch.request_counts.total;
+  const output = createBatchFileWriter(env, batch.client, `${batch.id}_output.jsonl`);
+  const failed = createBatchFileWriter(env, batch.client, `${batch.id}_error.jsonl`);
+  try {
+    for (let part = 0; part < cursor.parts; part++) {
+      const content = await store.get(`batch_part:${batch.id}:${part}`);
+      for (const line of content ? content.split("\n") : []) {
+        const record = JSON.parse(line);
+        await (isBatchLineSuccess(record) ? output : failed).write(record);
       }
     }
-
-    return new Response(JSON.stringify(responseData), {
-      status: resp.status,
-      statusText: resp.statusText,
-      headers: {
-        "Content-Type": "application/json",
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization, x-provider"
+    if (status !== "completed") {
+      const error = status === "expired"
+        ? { code: "batch_expired", message: "This request could not be executed before the completion window expired." }
+        : { code: "batch_cancelled", message: "This request was not executed because the batch was cancelled." };
+      for (let line = cursor.next_line; line < total; line += BATCH_INPUT_CHUNK_LINES) {
+        for (const item of await readInput(line, BATCH_INPUT_CHUNK_LINES)) {
+          await failed.write({ id: batchObjectId("batch_req"), custom_id: item.custom_id, response: null, error });
+        }
       }
-    });
+    }
+    const [outputFile, errorFile] = await Promise.all([output.close(), failed.close()]);
+    batch.output_file_id = outputFile?.id || null;
+    batch.error_file_id = errorFile?.id || null;
   } catch (error) {
-    const message = error instanceof Error ? error.message : "Unknown error";
-    return new Response(JSON.stringify({ error: "Internal server error", details: message }), {
-      status: 500,
-      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
-    });
+    output.abort(error);
+    failed.abort(error);
+    throw error;
   }
+
+  batch.request_counts = { total, completed: output.count, failed: failed.count };
+  batch.status = status;
+  batch[`${status}_at`] = unixSeconds();
+  await saveBatch(env, batch);
+  for (let part = 0; part < cursor.parts; part++) {
+    await store.delete(`batch_part:${batch.id}:${part}`);
+  }
+  for (let chunk = 0; chunk * BATCH_INPUT_CHUNK_LINES < total; chunk++) {
+    await store.delete(`batch_input:${batch.id}:${chunk}`);
+  }
+  await store.delete(`batch_cancel:${batch.id}`);
+  await store.delete(`batch_active:${batch.id}`);
 }
-__name(handleResponsesEndpoint, "handleResponsesEndpoint");
+__name(finalizeBatch, "finalizeBatch");
+
+// Avanza il batch fino a deadline (per default BATCH_RUN_BUDGET_MS da ora) con il coordinatore
+// dato (l'alarm usa direttamente il proprio storage). Ogni round avanza il cursore solo se il
+// lease è ancora di questa esecuzione.
+// -> istante (ms) in cui riprendere, null se il batch è chiuso o non c'è altro da fare
+async function runBatch(env, ctx, clientId, batchId, { coordinator = getBatchCoordinator(env), deadline = Date.now() + BATCH_RUN_BUDGET_MS } = {}) {
+  const store = getBatchStore(env);
+  const batch = await loadBatch(env, clientId, batchId);
+  if (!batch || BATCH_FINAL_STATUSES.includes(batch.status)) return null;
+  const owner = crypto.randomUUID();
+  const lease = await coordinator.run(batchId, { op: "acquire", owner, leaseMs: BATCH_LEASE_MS });
+  // Lease di un'esecuzione interrotta: si riprova alla scadenza
+  if (!lease.ok) return lease.cursor.finished ? null : lease.cursor.lease_until;
+  let cursor = lease.cursor;
 
-// =========================
-// /v1/chat/completions (compat)
-// =========================
-async function handleChatCompletionsEndpoint(request, env) {
   try {
-    const bodyText = await request.text();
-    const body = JSON.parse(bodyText || "{}");
-    const model = body.model;
+    const readInput = createBatchInputReader(env, batchId);
+    const concurrency = Number(env.BATCH_CONCURRENCY) || DEFAULT_BATCH_CONCURRENCY;
+    // Chiusura una sola volta: dopo "finish" nessuna esecuzione ottiene più il lease
+    const finalize = async (status) => {
+      await finalizeBatch(env, batch, readInput, cursor, status);
+      await coordinator.run(batchId, { op: "finish", owner });
+      return null;
+    };
+    let savedAt = Date.now();
 
-    if (!model) {
-      return new Response(JSON.stringify({ error: "Model parameter is required" }), {
-        status: 400, headers: { "Content-Type": "application/json" }
+    while (cursor.next_line < batch.request_counts.total) {
+      const current = await loadBatch(env, clientId, batchId);
+      if (current?.status === "cancelling") {
+        batch.status = "cancelling";
+        batch.cancelling_at = current.cancelling_at;
+        return await finalize("cancelled");
+      }
+      if (unixSeconds() >= batch.expires_at) return await finalize("expired");
+      // Budget controllato prima di ogni round: nessuna riga parte dopo la scadenza
+      if (Date.now() >= deadline) {
+        await saveBatch(env, batch);
+        return Date.now();
+      }
+
+      // Scope e limiti attuali della chiave a ogni round; revocata, rimossa o senza più
+      // l'endpoint del batch -> annullato
+      const runClient = batch.client_key ? await loadClientByKeyHash(env, batch.client_key) : null;
+      if (batch.client_key && !(runClient && isScopeAllowed(runClient, "endpoints", batch.endpoint))) {
+        writeLog(env, {
+          level: "warn",
+          msg: "batch_key_revoked",
+          batch_id: batch.id,
+          client: batch.client,
+          reason: runClient ? "endpoint_not_allowed" : "key_revoked"
+        });
+        batch.status = "cancelling";
+        batch.cancelling_at = unixSeconds();
+        return await finalize("cancelled");
+      }
+
+      // Un round = al più BATCH_CONCURRENCY righe in parallelo, poi subito il checkpoint
+      const round = await readInput(cursor.next_line, concurrency);
+      if (!round.length) throw new Error(`Batch ${batchId}: input lines missing from line ${cursor.next_line}`);
+      const records = await mapWithConcurrency(round, concurrency, item => executeBatchLine(env, ctx, batch, runClient, item));
+      await store.put(`batch_part:${batch.id}:${cursor.parts}`, records.map(record => JSON.stringify(record)).join("\n"), {
+        expirationTtl: BATCH_RETENTION_SECONDS
       });
+      const succeeded = records.filter(isBatchLineSuccess).length;
+      const committed = await coordinator.run(batchId, {
+        op: "commit",
+        owner,
+        leaseMs: BATCH_LEASE_MS,
+        lines: round.length,
+        completed: succeeded,
+        failed: records.length - succeeded
+      });
+      // Lease perso (round oltre BATCH_LEASE_MS): il checkpoint è di chi l'ha ripreso
+      if (!committed.ok) return committed.cursor.finished ? null : committed.cursor.lease_until;
+      cursor = committed.cursor;
+      batch.request_counts.completed = cursor.completed;
+      batch.request_counts.failed = cursor.failed;
+      if (Date.now() - savedAt >= BATCH_PROGRESS_SAVE_MS) {
+        await saveBatch(env, batch);
+        savedAt = Date.now();
+      }
     }
+    return await finalize("completed");
+  } finally {
+    await coordinator.run(batchId, { op: "release", owner }).catch(() => {});
+  }
+}
+__name(runBatch, "runBatch");
 
-    const explicitProvider = (getProviderFromHeader(request) || "").toLowerCase();
-    const providerName = explicitProvider || getProviderForModel(model);
-    const provider = PROVIDERS[providerName];
+// Affida il batch all'alarm del Durable Object BATCH_COORDINATOR (no-op se già armato);
+// senza binding lo riprende il cron
+async function scheduleBatchRun(env, clientId, batchId) {
+  if (!env.BATCH_COORDINATOR) return;
+  await getBatchCoordinator(env).run(batchId, { op: "schedule", batch_id: batchId, client: clientId });
+}
+__name(scheduleBatchRun, "scheduleBatchRun");
+
+// POST /v1/files (multipart: file, purpose=batch), GET /v1/files[?purpose=],
+// GET /v1/files/:id, GET /v1/files/:id/content, DELETE /v1/files/:id
+async function handleFilesEndpoint(request, env, client, url) {
+  try {
+    const [fileId, action, ...rest] = url.pathname.split("/").slice(3);
+    const store = getBatchStore(env);
 
-    if (!provider) {
-      return new Response(JSON.stringify({ error: `Unsupported provider: ${providerName}` }), {
-        status: 400, headers: { "Content-Type": "application/json" }
+    if (!fileId && request.method === "POST") {
+      const maxMb = Number(env.FILES_MAX_UPLOAD_MB) || DEFAULT_FILES_MAX_UPLOAD_MB;
+      const maxBytes = maxMb * 1024 * 1024;
+      const tooLarge = () => errorResponse(413, `File exceeds the ${maxMb} MB upload limit.`, {
+        code: "file_too_large", param: "file"
       });
-    }
 
-    const apiKey = env[provider.apiKeyEnv];
-    if (!apiKey) {
-      return new Response(JSON.stringify({ error: `${providerName.toUpperCase()} API key not configured` }), {
-        status: 500, headers: { "Content-Type": "application/json" }
+      let form;
+      try {
+        form = await readLimitedFormData(request, maxBytes);
+      } catch {
+        return errorResponse(400, "Request body must be multipart/form-data.", { code: "invalid_body" });
+      }
+      if (!form) return tooLarge();
+      const file = form.get("file");
+      if (!file || typeof file === "string") {
+        return errorResponse(400, "A 'file' field is required.", { param: "file" });
+      }
+      if (file.size > maxBytes) return tooLarge();
+      const purpose = form.get("purpose");
+      if (purpose !== "batch") {
+        return errorResponse(400, `Unsupported purpose '${purpose}'. Only 'batch' is supported.`, {
+          code: "invalid_purpose", param: "purpose"
+        });
+      }
+      const saved = await saveFile(env, client?.id || null, {
+        filename: file.name || "input.jsonl", purpose, content: await file.text()
       });
+      return batchJsonResponse(publicFile(saved));
     }
 
-    let requestBody = body;
-    if (providerName === "anthropic") {
-      requestBody = transformForAnthropic(body);
+    if (!fileId && request.method === "GET") {
+      const purpose = url.searchParams.get("purpose");
+      const files = [];
+      let cursor;
+      do {
+        const page = await store.list({ prefix: fileKey(client?.id || null, ""), cursor });
+        for (const key of page.keys) {
+          if (purpose && key.metadata && key.metadata.purpose !== purpose) continue;
+          const file = await store.get(key.name, "json");
+          if (file && (!purpose || file.purpose === purpose)) files.push(publicFile(file));
+        }
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+      files.sort((a, b) => b.created_at - a.created_at);
+      return batchJsonResponse({ object: "list", data: files, has_more: false });
     }
-    if (providerName === "openai") {
-      const lowerModel = (requestBody.model || "").toLowerCase();
-      const requiresCompletion = lowerModel.includes("gpt-5") || lowerModel.startsWith("o1") || lowerModel.startsWith("o3");
-      if (requiresCompletion && typeof requestBody.max_tokens === "number") {
-        requestBody.max_completion_tokens = requestBody.max_tokens;
-        delete requestBody.max_tokens;
+
+    if (fileId && !rest.length) {
+      const file = await loadFile(env, client, fileId);
+      if (!action && request.method === "GET") {
+        return file ? batchJsonResponse(publicFile(file)) : fileNotFoundResponse(fileId);
+      }
+      if (!action && request.method === "DELETE") {
+        if (!file) return fileNotFoundResponse(fileId);
+        await store.delete(fileKey(client?.id || null, fileId));
+        await store.delete(`file_content:${fileId}`);
+        return batchJsonResponse({ id: fileId, object: "file", deleted: true });
+      }
+      if (action === "content" && request.method === "GET") {
+        const content = file ? await store.get(`file_content:${fileId}`) : null;
+        if (content === null) return fileNotFoundResponse(fileId);
+        return new Response(content, {
+          status: 200,
+          headers: {
+            "Content-Type": "application/jsonl; charset=utf-8",
+            "Content-Disposition": `attachment; filename="${file.filename}"`,
+            "Access-Control-Allow-Origin": "*"
+          }
+        });
       }
     }
 
-    const headers = {
-      "Content-Type": "application/json",
-      ...buildProviderHeaders(providerName, apiKey)
-    };
+    return errorResponse(404, `Unknown route: ${request.method} ${url.pathname}`, { code: "unknown_route" });
+  } catch (error) {
+    return internalErrorResponse(error);
+  }
+}
+__name(handleFilesEndpoint, "handleFilesEndpoint");
 
-    const forwardedRequest = new Request(provider.baseUrl, {
-      method: "POST",
-      headers,
-      body: JSON.stringify(requestBody)
-    });
+// POST /v1/batches, GET /v1/batches[?limit=&after=], GET /v1/batches/:id, POST /v1/batches/:id/cancel
+async function handleBatchesEndpoint(request, env, client, url) {
+  try {
+    const [batchId, action, ...rest] = url.pathname.split("/").slice(3);
+    const store = getBatchStore(env);
 
-    const resp = await fetch(forwardedRequest);
+    if (!batchId && request.method === "POST") {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return errorResponse(400, "Request body must be valid JSON.", { code: "invalid_body" });
+      }
+      const { input_file_id: inputFileId, endpoint, completion_window: window = "24h", metadata = null } = body || {};
+      if (!BATCH_ENDPOINTS[endpoint]) {
+        return errorResponse(400, `Unsupported endpoint '${endpoint}'. Use one of: ${Object.keys(BATCH_ENDPOINTS).join(", ")}.`, {
+          code: "invalid_endpoint", param: "endpoint"
+        });
+      }
+      if (!isScopeAllowed(client, "endpoints", endpoint)) {
+        return errorResponse(403, `This API key is not allowed to call ${endpoint}.`, {
+          code: "endpoint_not_allowed", param: "endpoint"
+        });
+      }
+      if (window !== "24h") {
+        return errorResponse(400, "Only a '24h' completion_window is supported.", {
+          code: "invalid_completion_window", param: "completion_window"
+        });
+      }
+      const inputFile = inputFileId ? await loadFile(env, client, inputFileId) : null;
+      if (!inputFile) {
+        return inputFileId
+          ? fileNotFoundResponse(inputFileId)
+          : errorResponse(400, "input_file_id is required.", { param: "input_file_id" });
+      }
+      if (inputFile.purpose !== "batch") {
+        return errorResponse(400, `File ${inputFileId} must have purpose 'batch'.`, {
+          code: "invalid_input_file", param: "input_file_id"
+        });
+      }
 
-    // Streaming?
-    if (requestBody.stream) {
-      return handleStreamingResponse(resp, providerName);
+      const maxRequests = Number(env.BATCH_MAX_REQUESTS) || DEFAULT_BATCH_MAX_REQUESTS;
+      const content = await store.get(`file_content:${inputFileId}`);
+      const { requests, errors } = parseBatchInput(content || "", endpoint, maxRequests);
+      const now = unixSeconds();
+      const batch = {
+        id: batchObjectId("batch"),
+        object: "batch",
+        endpoint,
+        errors: errors.length ? { object: "list", data: errors } : null,
+        input_file_id: inputFileId,
+        completion_window: window,
+        status: errors.length ? "failed" : "in_progress",
+        output_file_id: null,
+        error_file_id: null,
+        created_at: now,
+        in_progress_at: errors.length ? null : now,
+        expires_at: now + BATCH_COMPLETION_WINDOW_SECONDS,
+        finalizing_at: null,
+        completed_at: null,
+        failed_at: errors.length ? now : null,
+        expired_at: null,
+        cancelling_at: null,
+        cancelled_at: null,
+        request_counts: { total: errors.length ? 0 : requests.length, completed: 0, failed: 0 },
+        metadata,
+        client: client?.id || null,
+        client_key: client?.key_hash || null
+      };
+      if (!errors.length) await saveBatchInput(env, batch, requests);
+      await saveBatch(env, batch);
+      if (!errors.length) await scheduleBatchRun(env, batch.client, batch.id);
+      return batchJsonResponse(publicBatch(batch));
     }
 
-    let responseData = await resp.json();
-    if (providerName === "anthropic" && resp.ok) {
-      responseData = transformAnthropicResponse(responseData);
+    if (!batchId && request.method === "GET") {
+      const limit = Math.min(Math.max(Number(url.searchParams.get("limit")) || 20, 1), 100);
+      const after = url.searchParams.get("after");
+      // Ordinamento sui metadati delle chiavi del client: si leggono solo i batch della pagina
+      const prefix = batchKey(client?.id || null, "");
+      const keys = [];
+      let cursor;
+      do {
+        const page = await store.list({ prefix, cursor });
+        keys.push(...page.keys);
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+      const idOf = key => key.name.slice(prefix.length);
+      keys.sort((a, b) => (b.metadata?.created_at || 0) - (a.metadata?.created_at || 0) || idOf(b).localeCompare(idOf(a)));
+      const start = after ? keys.findIndex(key => idOf(key) === after) + 1 : 0;
+      const page = keys.slice(start, start + limit);
+      const data = (await Promise.all(page.map(key => loadBatch(env, client?.id || null, idOf(key))))).filter(Boolean);
+      return batchJsonResponse({
+        object: "list",
+        data: data.map(publicBatch),
+        first_id: data[0]?.id || null,
+        last_id: data[data.length - 1]?.id || null,
+        has_more: start + limit < keys.length
+      });
     }
 
-    return new Response(JSON.stringify(responseData), {
-      status: resp.status,
-      statusText: resp.statusText,
-      headers: {
-        "Content-Type": "application/json",
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization, x-provider"
+    if (batchId && !rest.length) {
+      const batch = await loadBatch(env, client?.id || null, batchId);
+      if (!batch) return batchNotFoundResponse(batchId);
+
+      if (!action && request.method === "GET") {
+        return batchJsonResponse(publicBatch(batch));
       }
-    });
+
+      if (action === "cancel" && request.method === "POST") {
+        if (batch.status !== "in_progress" && batch.status !== "validating" && batch.status !== "cancelling") {
+          return errorResponse(409, `Cannot cancel a batch with status '${batch.status}'.`, {
+            code: "batch_not_cancellable"
+          });
+        }
+        const cancellingAt = batch.cancelling_at || unixSeconds();
+        await store.put(`batch_cancel:${batchId}`, String(cancellingAt), { expirationTtl: BATCH_RETENTION_SECONDS });
+        // Un alarm in attesa (lease di un'esecuzione interrotta) chiude subito il batch
+        await scheduleBatchRun(env, batch.client, batchId);
+        return batchJsonResponse(publicBatch({ ...batch, status: "cancelling", cancelling_at: cancellingAt }));
+      }
+    }
+
+    return errorResponse(404, `Unknown route: ${request.method} ${url.pathname}`, { code: "unknown_route" });
   } catch (error) {
-    const message = error instanceof Error ? error.message : "Unknown error";
-    return new Response(JSON.stringify({ error: "Internal server error", details: message }), {
-      status: 500,
-      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
-    });
+    return internalErrorResponse(error);
   }
 }
-__name(handleChatCompletionsEndpoint, "handleChatCompletionsEndpoint");
+__name(handleBatchesEndpoint, "handleBatchesEndpoint");
+
+// Cron: con BATCH_COORDINATOR riarma gli alarm (rete di sicurezza se una catena si è fermata
+// dopo i retry del runtime); senza binding esegue i batch aperti, uno dopo l'altro, entro un
+// unico budget
+async function resumeStalledBatches(env, ctx) {
+  const store = getBatchStore(env);
+  const deadline = Date.now() + BATCH_RUN_BUDGET_MS;
+  let cursor;
+  do {
+    const page = await store.list({ prefix: "batch_active:", cursor });
+    for (const key of page.keys) {
+      const batchId = key.name.slice("batch_active:".length);
+      const clientId = key.metadata?.client ?? null;
+      try {
+        if (env.BATCH_COORDINATOR) {
+          await scheduleBatchRun(env, clientId, batchId);
+        } else if (Date.now() < deadline) {
+          await runBatch(env, ctx, clientId, batchId, { deadline });
+        }
+      } catch (error) {
+        writeLog(env, { level: "error", msg: "batch_run_failed", batch_id: batchId, error: error?.message || String(error) });
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+}
+__name(resumeStalledBatches, "resumeStalledBatches");
 
 // =========================
 /** FETCH HANDLER (Module Worker) */
 // =========================
+// Routing autenticato (CORS preflight, request id e log sono gestiti dal fetch handler)
+async function routeRequest(request, env, ctx, trace) {
+  const url = new URL(request.url);
+
+  // Autenticazione (chiave client del gateway) e scope sugli endpoint
+  const auth = await authenticateRequest(request, env);
+  if (auth.error) return auth.error;
+  const client = auth.client;
+  trace.authorize(client);
+
+  if (!isScopeAllowed(client, "endpoints", url.pathname)) {
+    return errorResponse(403, `This API key is not allowed to call ${url.pathname}.`, {
+      code: "endpoint_not_allowed"
+    });
+  }
+
+  // Contabilità d'uso e tracciamento per le chiamate upstream della richiesta
+  const meter = createUsageMeter(env, client, url.pathname, ctx, trace);
+
+  // Routing
+  if (url.pathname === "/v1/models" && request.method === "GET") {
+    return handleModelsEndpoint(request, env, client);
+  }
+
+  if (url.pathname === "/v1/usage" && request.method === "GET") {
+    return handleUsageEndpoint(request, env, client);
+  }
+
+  if (url.pathname === "/v1/tokenize" && request.method === "POST") {
+    return handleTokenizeEndpoint(request, env, client);
+  }
+
+  if (url.pathname === "/v1/responses" && request.method === "POST") {
+    return handleResponsesEndpoint(request, env, client, meter);
+  }
+
+  if (url.pathname === "/v1/chat/completions" && request.method === "POST") {
+    return handleChatCompletionsEndpoint(request, env, client, meter);
+  }
+
+  if (url.pathname === "/v1/embeddings" && request.method === "POST") {
+    return handleEmbeddingsEndpoint(request, env, client, meter);
+  }
+
+  if (url.pathname === "/v1/audio/transcriptions" && request.method === "POST") {
+    return handleAudioEndpoint(request, env, client, "transcriptions", meter);
+  }
+
+  if (url.pathname === "/v1/audio/translations" && request.method === "POST") {
+    return handleAudioEndpoint(request, env, client, "translations", meter);
+  }
+
+  if (url.pathname === "/v1/files" || url.pathname.startsWith("/v1/files/")) {
+    return handleFilesEndpoint(request, env, client, url);
+  }
+
+  if (url.pathname === "/v1/batches" || url.pathname.startsWith("/v1/batches/")) {
+    return handleBatchesEndpoint(request, env, client, url);
+  }
+
+  return errorResponse(404, `Unknown route: ${request.method} ${url.pathname}`, { code: "unknown_route" });
+}
+__name(routeRequest, "routeRequest");
+
 const index_default = {
   async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-
     // CORS preflight
     if (request.method === "OPTIONS") {
       return new Response(null, {
         status: 200,
         headers: {
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Authorization, x-provider"
+          "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+          "Access-Control-Allow-Headers": "Content-Type, Authorization, Cache-Control, x-provider, x-fallback-models, x-gateway-cache, x-request-id, x-gateway-debug, x-context-guard",
+          "Access-Control-Expose-Headers": "x-request-id, x-gateway-cache, x-gateway-served-by, x-gateway-response-id, x-gateway-prompt-tokens-estimate, x-gateway-context-trimmed-tokens, x-gateway-context-trimmed-messages, x-gateway-pii-redacted, x-gateway-moderation, x-gateway-moderation-categories"
         }
       });
     }
 
-    // Routing
-    if (url.pathname === "/v1/models" && request.method === "GET") {
-      return handleModelsEndpoint(request, env);
+    const trace = createRequestTrace(request, env, new URL(request.url));
+    let response;
+    try {
+      response = await routeRequest(request, env, ctx, trace);
+    } catch (error) {
+      response = internalErrorResponse(error);
     }
-
-    if (url.pathname === "/v1/responses" && request.method === "POST") {
-      return handleResponsesEndpoint(request, env);
-    }
-
-    if (url.pathname === "/v1/chat/completions" && request.method === "POST") {
-      return handleChatCompletionsEndpoint(request, env);
+    // Header immutabili (risposte inoltrate): si ricrea la Response
+    try {
+      response.headers.set("x-request-id", trace.requestId);
+    } catch {
+      response = new Response(response.body, response);
+      response.headers.set("x-request-id", trace.requestId);
     }
+    trace.set({
+      status: response.status,
+      cache: response.headers.get("x-gateway-cache"),
+      served_by: response.headers.get("x-gateway-served-by")
+    });
+    if (!trace.streaming) trace.finish();
+    return response;
+  },
 
-    return new Response("Not Found", { status: 404 });
+  // Cron Trigger: esegue i batch aperti (senza BATCH_COORDINATOR) o ne riarma gli alarm
+  async scheduled(event, env, ctx) {
+    await resumeStalledBatches(env, ctx);
+    await rollupClosedUsageDay(env);
   }
 };
 
+// =========================
+// DURABLE OBJECT: contatori rate limit (binding RATE_LIMITER)
+// =========================
+class RateLimiterDurableObject {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const op = await request.json();
+    const result = await applyCounterOp(this.state.storage, op);
+    return new Response(JSON.stringify(result), { headers: { "Content-Type": "application/json" } });
+  }
+}
+__name(RateLimiterDurableObject, "RateLimiterDurableObject");
+
+// =========================
+// DURABLE OBJECT: lease e cursore dei batch (binding BATCH_COORDINATOR)
+// =========================
+class BatchCoordinatorDurableObject {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const op = await request.json();
+    const result = op.op === "schedule"
+      ? await this.schedule(op.batch_id, op.client ?? null)
+      : await applyBatchCursorOp(this.state.storage, op);
+    return new Response(JSON.stringify(result), { headers: { "Content-Type": "application/json" } });
+  }
+
+  // Arma l'alarm (subito) se non ce n'è già uno; un batch chiuso non si riprogramma
+  async schedule(batchId, clientId) {
+    const { storage } = this.state;
+    const cursor = await storage.get("cursor");
+    if (cursor?.finished) return { ok: false, cursor };
+    await storage.put("target", { batch_id: batchId, client: clientId });
+    if (await storage.getAlarm() === null) await storage.setAlarm(Date.now());
+    return { ok: true, cursor: cursor || null };
+  }
+
+  // Esecuzione del batch: un budget per alarm, riarmato finché restano righe. Un errore
+  // lascia ritentare l'alarm al runtime (il cron lo riarma se i retry si esauriscono)
+  async alarm() {
+    const target = await this.state.storage.get("target");
+    if (!target) return;
+    const batchId = target.batch_id;
+    const coordinator = { run: (id, op) => applyBatchCursorOp(this.state.storage, op) };
+    const pending = [];
+    const ctx = { waitUntil: promise => pending.push(promise) };
+    try {
+      const next = await runBatch(this.env, ctx, target.client, batchId, { coordinator });
+      if (next !== null) await this.state.storage.setAlarm(next);
+    } catch (error) {
+      writeLog(this.env, { level: "error", msg: "batch_run_failed", batch_id: batchId, error: error?.message || String(error) });
+      throw error;
+    } finally {
+      await Promise.allSettled(pending);
+    }
+  }
+}
+__name(BatchCoordinatorDurableObject, "BatchCoordinatorDurableObject");
+
 // 👉 Export per Module Worker (nessun addEventListener necessario)
-export { index_default as default };
+export { index_default as default, RateLimiterDurableObject, BatchCoordinatorDurableObject };